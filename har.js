@@ -0,0 +1,238 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+'use strict';
+
+const {Class} = require('sdk/core/heritage');
+
+const {parseCookie} = require('./utils');
+
+const PAGE_ID = 'page_1';
+
+
+const getHeader = function(headers, name) {
+    name = name.toLowerCase();
+    let values = (headers || []).filter(function(v) {
+        return v.name.toLowerCase() === name;
+    }).map(function(v) {
+        return v.value;
+    });
+    return values.length > 0 ? values.join('\n') : null;
+};
+
+const requestCookies = function(headers) {
+    let value = getHeader(headers, 'Cookie');
+    if (value === null) {
+        return [];
+    }
+    return value.split(/;\s*/).filter(function(v) {
+        return v.indexOf('=') > 0;
+    }).map(function(v) {
+        let eq = v.indexOf('=');
+        return {name: v.slice(0, eq), value: v.slice(eq + 1)};
+    });
+};
+
+const responseCookies = function(headers, url) {
+    let value = getHeader(headers, 'Set-Cookie');
+    if (value === null) {
+        return [];
+    }
+    return value.split('\n').map(function(v) {
+        try {
+            let cookie = parseCookie(v, url);
+            return {
+                name: cookie.name,
+                value: cookie.value,
+                path: cookie.path,
+                domain: cookie.domain,
+                expires: cookie.expires ? cookie.expires.toISOString() : null,
+                httpOnly: cookie.httponly,
+                secure: cookie.secure
+            };
+        } catch(e) {
+            return null;
+        }
+    }).filter(function(v) {
+        return v !== null;
+    });
+};
+
+const queryString = function(url) {
+    let query = url.split('#')[0].split('?').slice(1).join('?');
+    if (!query) {
+        return [];
+    }
+    return query.split('&').map(function(v) {
+        let eq = v.indexOf('=');
+        let name = eq === -1 ? v : v.slice(0, eq);
+        let value = eq === -1 ? '' : v.slice(eq + 1);
+        try {
+            return {name: decodeURIComponent(name), value: decodeURIComponent(value)};
+        } catch(e) {
+            return {name: name, value: value};
+        }
+    });
+};
+
+const captureType = function(captureTypes, contentType) {
+    let mimeType = (contentType || '').split(';')[0].trim();
+    return captureTypes.some(function(v) {
+        return v instanceof RegExp ? v.test(mimeType) : v === mimeType;
+    });
+};
+
+
+// Builds a HAR 1.2 document from resourceRequested and resourceReceived
+// events of a page load, like PhantomJS netsniff example.
+const HarRecorder = Class({
+    initialize: function(captureTypes) {
+        this.captureTypes = captureTypes || [];
+        this.reset();
+    },
+
+    reset: function() {
+        this.startTime = new Date();
+        this.onContentLoad = null;
+        this.onLoad = null;
+        this.resources = {};
+        this.order = [];
+    },
+
+    contentLoaded: function() {
+        this.onContentLoad = new Date();
+    },
+
+    loaded: function() {
+        this.onLoad = new Date();
+    },
+
+    request: function(request) {
+        if (!(request.id in this.resources)) {
+            this.order.push(request.id);
+        }
+        this.resources[request.id] = {
+            request: request,
+            startReply: null,
+            endReply: null,
+            error: null,
+            capture: false,
+            body: ''
+        };
+    },
+
+    response: function(response) {
+        let resource = this.resources[response.id];
+        if (!resource) {
+            return;
+        }
+        if (response.stage === 'start') {
+            resource.startReply = response;
+            resource.capture = captureType(this.captureTypes, response.contentType);
+        }
+        else if (response.stage === 'data' && resource.capture) {
+            resource.body += response.data || '';
+        }
+        else if (response.stage === 'end') {
+            resource.endReply = response;
+        }
+    },
+
+    error: function(error) {
+        let resource = this.resources[error.id];
+        if (resource) {
+            resource.error = error;
+        }
+    },
+
+    _entry: function(resource) {
+        let request = resource.request;
+        let start = resource.startReply || {};
+        let end = resource.endReply || start;
+
+        let requestTime = new Date(request.time);
+        let startTime = start.time ? new Date(start.time) : requestTime;
+        let endTime = end.time ? new Date(end.time) : startTime;
+
+        let content = {
+            size: resource.body.length || end.bodySize || 0,
+            mimeType: start.contentType || ''
+        };
+        if (resource.body) {
+            content.text = resource.body;
+        }
+
+        let entry = {
+            pageref: PAGE_ID,
+            startedDateTime: requestTime.toISOString(),
+            time: endTime - requestTime,
+            request: {
+                method: request.method,
+                url: request.url,
+                httpVersion: 'HTTP/1.1',
+                cookies: requestCookies(request.headers),
+                headers: request.headers || [],
+                queryString: queryString(request.url),
+                headersSize: -1,
+                bodySize: -1
+            },
+            response: {
+                status: start.status || 0,
+                statusText: start.statusText || '',
+                httpVersion: 'HTTP/1.1',
+                cookies: responseCookies(start.headers, request.url),
+                headers: start.headers || [],
+                content: content,
+                redirectURL: start.redirectURL || '',
+                headersSize: -1,
+                bodySize: end.bodySize || content.size
+            },
+            cache: {},
+            timings: {
+                blocked: -1,
+                dns: -1,
+                connect: -1,
+                send: 0,
+                wait: startTime - requestTime,
+                receive: endTime - startTime,
+                ssl: -1
+            }
+        };
+
+        if (start.mocked) {
+            entry._mocked = true;
+        }
+        if (resource.error) {
+            entry.response._error = resource.error.errorString;
+        }
+
+        return entry;
+    },
+
+    toHAR: function(page) {
+        let entries = this.order.map(function(id) {
+            return this._entry(this.resources[id]);
+        }.bind(this));
+
+        return {
+            log: {
+                version: '1.2',
+                creator: {
+                    name: 'Jetpack webpage',
+                    version: '0.2'
+                },
+                pages: [{
+                    startedDateTime: this.startTime.toISOString(),
+                    id: PAGE_ID,
+                    title: page.title || page.url || '',
+                    pageTimings: {
+                        onContentLoad: this.onContentLoad ? this.onContentLoad - this.startTime : -1,
+                        onLoad: this.onLoad ? this.onLoad - this.startTime : -1
+                    }
+                }],
+                entries: entries
+            }
+        };
+    }
+});
+exports.HarRecorder = HarRecorder;
@@ -0,0 +1,171 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+'use strict';
+
+const {Ci} = require('chrome');
+
+// PhantomJS modifier values
+const MODIFIERS = {
+    shift: 0x02000000,
+    ctrl: 0x04000000,
+    alt: 0x08000000,
+    meta: 0x10000000,
+    keypad: 0x20000000
+};
+exports.MODIFIERS = MODIFIERS;
+
+const MOUSE_BUTTONS = {
+    left: 0,
+    middle: 1,
+    right: 2
+};
+
+const MOUSE_EVENTS = [
+    'mousedown', 'mouseup', 'mousemove', 'click', 'doubleclick', 'contextmenu'
+];
+exports.MOUSE_EVENTS = MOUSE_EVENTS;
+
+const KEY_EVENTS = ['keydown', 'keyup', 'keypress'];
+exports.KEY_EVENTS = KEY_EVENTS;
+
+// Key names to DOM key codes (DOM_VK_BACK_SPACE is BackSpace)
+const KEYS = (function() {
+    let keys = {};
+    for (let k in Ci.nsIDOMKeyEvent) {
+        if (k.indexOf('DOM_VK_') !== 0) {
+            continue;
+        }
+        let name = k.substr(7).toLowerCase().split('_').map(function(v) {
+            return v[0].toUpperCase() + v.substr(1);
+        }).join('');
+        keys[name] = Ci.nsIDOMKeyEvent[k];
+    }
+
+    // Some PhantomJS names
+    keys.Enter = keys.Return;
+    keys.Backspace = keys.BackSpace;
+    keys.Esc = keys.Escape;
+
+    return keys;
+})();
+exports.KEYS = KEYS;
+
+
+const getWindowUtils = function(window) {
+    return window.QueryInterface(Ci.nsIInterfaceRequestor)
+                 .getInterface(Ci.nsIDOMWindowUtils);
+};
+
+const getModifiers = function(modifiers) {
+    // Converts PhantomJS modifiers to nsIDOMWindowUtils ones
+    modifiers = modifiers || 0;
+    let result = 0;
+    if (modifiers & MODIFIERS.shift) {
+        result |= Ci.nsIDOMWindowUtils.MODIFIER_SHIFT;
+    }
+    if (modifiers & MODIFIERS.ctrl) {
+        result |= Ci.nsIDOMWindowUtils.MODIFIER_CONTROL;
+    }
+    if (modifiers & MODIFIERS.alt) {
+        result |= Ci.nsIDOMWindowUtils.MODIFIER_ALT;
+    }
+    if (modifiers & MODIFIERS.meta) {
+        result |= Ci.nsIDOMWindowUtils.MODIFIER_META;
+    }
+    return result;
+};
+
+
+const sendMouseEvent = function(window, type, x, y, button, modifiers) {
+    let utils = getWindowUtils(window);
+    let mods = getModifiers(modifiers);
+
+    button = button || 'left';
+    if (!(button in MOUSE_BUTTONS)) {
+        throw new Error('Unknown mouse button "' + button + '"');
+    }
+    button = MOUSE_BUTTONS[button];
+
+    let send = function(type, clickCount) {
+        utils.sendMouseEvent(type, x, y, button, clickCount, mods);
+    };
+
+    switch (type) {
+        case 'mousedown':
+        case 'mouseup':
+            send(type, 1);
+            break;
+        case 'mousemove':
+            send(type, 0);
+            break;
+        case 'click':
+            send('mousedown', 1);
+            send('mouseup', 1);
+            break;
+        case 'doubleclick':
+            send('mousedown', 1);
+            send('mouseup', 1);
+            send('mousedown', 2);
+            send('mouseup', 2);
+            break;
+        case 'contextmenu':
+            button = MOUSE_BUTTONS.right;
+            send('mousedown', 1);
+            send('contextmenu', 1);
+            send('mouseup', 1);
+            break;
+        default:
+            throw new Error('Unknown mouse event "' + type + '"');
+    }
+};
+exports.sendMouseEvent = sendMouseEvent;
+
+
+const sendKeyEvent = function(window, type, key, modifiers) {
+    let utils = getWindowUtils(window);
+    let mods = getModifiers(modifiers);
+
+    if (KEY_EVENTS.indexOf(type) === -1) {
+        throw new Error('Unknown keyboard event "' + type + '"');
+    }
+
+    // Key name or key code
+    let keyCode = null;
+    if (typeof(key) === 'number') {
+        keyCode = key;
+    }
+    else if (typeof(key) === 'string' && key.length > 1 && key in KEYS) {
+        keyCode = KEYS[key];
+    }
+
+    let send = function(keyCode, charCode) {
+        if (type === 'keypress') {
+            utils.sendKeyEvent('keydown', keyCode, 0, mods);
+            utils.sendKeyEvent('keypress', charCode ? 0 : keyCode, charCode, mods);
+            utils.sendKeyEvent('keyup', keyCode, 0, mods);
+        }
+        else {
+            utils.sendKeyEvent(type, keyCode, 0, mods);
+        }
+    };
+
+    if (keyCode !== null) {
+        // Printable keys send their character on keypress
+        let charCode = 0;
+        if ((keyCode >= 48 && keyCode <= 57) || (keyCode >= 65 && keyCode <= 90)) {
+            charCode = String.fromCharCode(keyCode);
+            charCode = (mods & Ci.nsIDOMWindowUtils.MODIFIER_SHIFT ?
+                charCode : charCode.toLowerCase()).charCodeAt(0);
+        }
+        send(keyCode, charCode);
+        return;
+    }
+
+    // String of characters
+    (key || '').toString().split('').forEach(function(c) {
+        let code = /[a-z0-9]/i.test(c) ? c.toUpperCase().charCodeAt(0) : 0;
+        send(code, c.charCodeAt(0));
+    });
+};
+exports.sendKeyEvent = sendKeyEvent;
@@ -0,0 +1,243 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+'use strict';
+
+const {Cc, Ci, Cr} = require('chrome');
+
+const base64 = require('sdk/base64');
+const {Class, mix} = require('sdk/core/heritage');
+
+const {encodeString} = require('./utils');
+
+const ioService = Cc['@mozilla.org/network/io-service;1'].getService(Ci.nsIIOService);
+
+// PhantomJS (QNetworkReply) error for canceled requests
+const ERROR_CANCELED = 5;
+exports.ERROR_CANCELED = ERROR_CANCELED;
+
+// Gecko status to QNetworkReply error codes
+const NETWORK_ERRORS = {
+    NS_ERROR_CONNECTION_REFUSED: 1,
+    NS_ERROR_NET_RESET: 2,
+    NS_ERROR_NET_INTERRUPT: 2,
+    NS_ERROR_UNKNOWN_HOST: 3,
+    NS_ERROR_NET_TIMEOUT: 4,
+    NS_BINDING_ABORTED: ERROR_CANCELED,
+    NS_ERROR_PROXY_CONNECTION_REFUSED: 101,
+    NS_ERROR_UNKNOWN_PROXY_HOST: 103,
+    NS_ERROR_MALFORMED_URI: 301,
+    NS_ERROR_UNKNOWN_PROTOCOL: 301
+};
+
+// Statuses that are not errors for us
+const IGNORED_STATUS = [
+    'NS_BINDING_ABORTED',
+    'NS_BINDING_REDIRECTED',
+    'NS_BINDING_RETARGETED',
+    'NS_ERROR_PARSED_DATA_CACHED'
+];
+
+const statusName = function(status) {
+    for (let k in Cr) {
+        if (Cr[k] === status) {
+            return k;
+        }
+    }
+    return '0x' + (status >>> 0).toString(16);
+};
+
+const networkError = function(status) {
+    // Error code and string for a failed request status, null when status
+    // is not an error.
+    if (!(status & 0x80000000)) {
+        return null;
+    }
+    let name = statusName(status);
+    if (IGNORED_STATUS.indexOf(name) !== -1) {
+        return null;
+    }
+    return {
+        errorCode: name in NETWORK_ERRORS ? NETWORK_ERRORS[name] : 99,
+        errorString: name
+    };
+};
+exports.networkError = networkError;
+
+const httpError = function(response) {
+    // PhantomJS error for an HTTP error response
+    if (!(response.status >= 400)) {
+        return null;
+    }
+    let code;
+    switch (response.status) {
+        case 401: code = 204; break;
+        case 403: code = 201; break;
+        case 404: code = 203; break;
+        case 500: code = 401; break;
+        case 501: code = 402; break;
+        case 503: code = 403; break;
+        default: code = response.status < 500 ? 299 : 499;
+    }
+    return {
+        errorCode: code,
+        errorString: 'Error downloading ' + response.url + ' - server replied: ' + response.statusText
+    };
+};
+exports.httpError = httpError;
+
+
+// Second argument of resourceRequested, acting on the request channel.
+const NetworkRequest = Class({
+    initialize: function(channel, request) {
+        this._channel = channel && channel.QueryInterface(Ci.nsIHttpChannel) || null;
+        this.id = request.id;
+        this.url = request.url;
+        this.aborted = false;
+    },
+
+    get channel() {
+        return this._channel;
+    },
+
+    get isDocument() {
+        return this._channel !== null &&
+            !!(this._channel.loadFlags & Ci.nsIChannel.LOAD_INITIAL_DOCUMENT_URI);
+    },
+
+    _assertChannel: function() {
+        if (this._channel === null) {
+            throw new Error('Request "' + this.url + '" cannot be modified');
+        }
+    },
+
+    abort: function() {
+        this._assertChannel();
+        if (!this.aborted) {
+            this.aborted = true;
+            this._channel.cancel(Cr.NS_BINDING_ABORTED);
+        }
+    },
+
+    changeUrl: function(url) {
+        this._assertChannel();
+        this._channel.redirectTo(ioService.newURI(url, null, this._channel.URI));
+    },
+
+    setHeader: function(name, value) {
+        this._assertChannel();
+        this._channel.setRequestHeader(name, value === null ? '' : value.toString(), false);
+    },
+
+    fulfill: function(response) {
+        // Serves a route response body from a data URI, with a 200 status.
+        this._assertChannel();
+        let m = /charset=["']?([^;"'\s]+)/i.exec(response.contentType);
+        let type = response.contentType.split(';')[0].trim();
+        let charset = m && m[1] || 'UTF-8';
+
+        // Text is encoded with its charset, other bodies are bytes
+        let body = response.body;
+        if (m || /^text\/|javascript|json|xml/.test(type) || /[^\u0000-\u00ff]/.test(body)) {
+            try {
+                body = encodeString(body, charset);
+            } catch(e) {
+                charset = 'UTF-8';
+                body = encodeString(body, charset);
+            }
+            type += ';charset=' + charset;
+        }
+
+        this.mocked = response;
+        this._channel.redirectTo(ioService.newURI(
+            'data:' + type + ';base64,' + base64.encode(body), null, null
+        ));
+    }
+});
+exports.NetworkRequest = NetworkRequest;
+
+
+const matchURL = function(pattern, url) {
+    if (pattern instanceof RegExp) {
+        return pattern.test(url);
+    }
+    if (typeof(pattern) === 'function') {
+        return !!pattern(url);
+    }
+
+    // String with * wildcards
+    let re = pattern.toString().split('*').map(function(v) {
+        return v.replace(/[-[\]{}()+?.,\\^$|#\s]/g, '\\$&');
+    }).join('.*');
+    return new RegExp('^' + re + '$').test(url);
+};
+exports.matchURL = matchURL;
+
+
+// Second argument of route handlers
+const Route = Class({
+    initialize: function(isDocument) {
+        this.isDocument = !!isDocument;
+        this.response = null;
+        this.continued = false;
+    },
+
+    fulfill: function(response) {
+        response = response || {};
+        let headers = response.headers || {};
+        let contentType = response.contentType;
+        let otherHeaders = Object.keys(headers).filter(function(name) {
+            if (name.toLowerCase() !== 'content-type') {
+                return true;
+            }
+            contentType = contentType || headers[name].toString();
+            return false;
+        });
+
+        // Sub resources are served from a data URI, the page can't get
+        // another status or headers than these.
+        if (!this.isDocument && ((response.status || 200) !== 200 || otherHeaders.length > 0)) {
+            throw new Error('Sub resource routes only serve a body and a content type, ' +
+                'status and headers are not supported');
+        }
+
+        this.response = {
+            status: response.status || 200,
+            statusText: response.statusText || 'OK',
+            headers: Object.keys(headers).map(function(name) {
+                return {name: name, value: headers[name].toString()};
+            }),
+            contentType: contentType || 'text/plain',
+            body: (response.body || '').toString()
+        };
+    },
+
+    continue: function() {
+        this.continued = true;
+    }
+});
+exports.Route = Route;
+
+
+const mockedResponses = function(request, response) {
+    // resourceReceived events of a route response
+    let base = {
+        id: request.id,
+        url: request.url,
+        time: new Date(),
+        headers: response.headers,
+        bodySize: response.body.length,
+        contentType: response.contentType,
+        redirectURL: null,
+        status: response.status,
+        statusText: response.statusText,
+        mocked: true
+    };
+
+    return [
+        mix(base, {stage: 'start'}),
+        mix(base, {stage: 'data', data: response.body}),
+        mix(base, {stage: 'end'})
+    ];
+};
+exports.mockedResponses = mockedResponses;
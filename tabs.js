@@ -3,7 +3,7 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 'use strict';
 
-const {Cc, Ci} = require('chrome');
+const {Cc, Ci, Cr, Cu} = require('chrome');
 
 const {Class, mix} = require('sdk/core/heritage');
 const {emit} = require('sdk/event/core');
@@ -13,18 +13,48 @@ const {setTimeout, clearTimeout} = require('sdk/timers');
 
 const {validateOptions} = require('sdk/deprecated/api-utils');
 
+const {XPCOMUtils} = Cu.import('resource://gre/modules/XPCOMUtils.jsm', {});
+
+const {
+    ERROR_CANCELED, NetworkRequest, httpError, mockedResponses, networkError
+} = require('./network');
+
 const NetLog = require('net-log/net-log');
 const PageProgress = require('net-log/page-progress');
 
+const ioService = Cc['@mozilla.org/network/io-service;1'].getService(Ci.nsIIOService);
 const wm = Cc['@mozilla.org/appshell/window-mediator;1'].getService(Ci.nsIWindowMediator);
 
 const LOAD_FLAGS = (
-    Ci.nsIWebNavigation.LOAD_FLAGS_BYPASS_CACHE
-    | Ci.nsIWebNavigation.LOAD_FLAGS_BYPASS_HISTORY
-    | Ci.nsIWebNavigation.LOAD_FLAGS_FIRST_LOAD
+    Ci.nsIWebNavigation.LOAD_FLAGS_FIRST_LOAD
     | Ci.nsIWebNavigation.LOAD_FLAGS_STOP_CONTENT
 );
 
+// Load flags and channel flags of cache policies
+const CACHE_POLICIES = {
+    'bypass': {
+        load: Ci.nsIWebNavigation.LOAD_FLAGS_BYPASS_CACHE,
+        channel: 0
+    },
+    'normal': {
+        load: 0,
+        channel: 0
+    },
+    'offline-only': {
+        load: 0,
+        channel: (
+            Ci.nsIRequest.LOAD_FROM_CACHE
+            | Ci.nsIRequest.VALIDATE_NEVER
+            | Ci.nsICachingChannel.LOAD_ONLY_FROM_CACHE
+            | Ci.nsICachingChannel.LOAD_NO_NETWORK_IO
+        )
+    }
+};
+exports.CACHE_POLICIES = Object.keys(CACHE_POLICIES);
+
+// Bodies NetLog always captures, main document responses need them
+const DOCUMENT_TYPES = [/^text\//, /json/, /xml/];
+
 // Tab events definition
 const E_OPEN = 'open';
 const E_OPEN_READY = 'openReady';
@@ -43,6 +73,9 @@ const E_RESPONSE = '_response';
 const E_LOAD_FAIL = 'loadFail';
 const E_RES_REQ = 'resourceRequested';
 const E_RES_REC = 'resourceReceived';
+const E_RES_ERROR = 'resourceError';
+const E_NAV_REQ = 'navigationRequested';
+const E_URL_CHANGED = 'urlChanged';
 
 
 const Tab = Class({
@@ -73,6 +106,25 @@ const Tab = Class({
         this._browser = null;
         this._tab = null;
         this._timeout = null;
+        this._viewportSize = null;
+        this._zoomFactor = 1;
+        this._progressListener = null;
+        this._channel = null;
+        this._requests = {};
+        this._requestMethod = null;
+        this._cachePolicy = CACHE_POLICIES.bypass;
+        this._loading = false;
+        this._readyListener = null;
+        this._loadHolds = 0;
+        this._fullLoadPending = false;
+        this._blankLoad = false;
+        this._internalLoad = false;
+        this._sameDocumentLoad = false;
+        this._loadURL = null;
+        this._lastURL = null;
+        this._formSubmit = null;
+        this._onSubmit = bindListener(this, this._onSubmit);
+        this.navigationLocked = false;
 
         // Unregister browser on load, loadFail and error
         this.on(E_FULL_LOAD, this._cleanUp);
@@ -87,21 +139,243 @@ const Tab = Class({
         return this._browser;
     },
 
+    get viewportSize() {
+        return this._viewportSize;
+    },
+    set viewportSize(value) {
+        this._viewportSize = value;
+        this._applyViewportSize();
+    },
+
+    _applyViewportSize: function() {
+        if (!this.browser) {
+            return;
+        }
+
+        let style = this.browser.style;
+        let size = this.viewportSize;
+        ['width', 'height'].forEach(function(k) {
+            let prop = k[0].toUpperCase() + k.substr(1);
+            let value = size ? size[k] + 'px' : '';
+            style[k] = style['min' + prop] = style['max' + prop] = value;
+        });
+
+        // Flush layout, the page gets its resize event with new dimensions
+        this.browser.getBoundingClientRect();
+    },
+
+    get zoomFactor() {
+        return this._zoomFactor;
+    },
+    set zoomFactor(value) {
+        this._zoomFactor = value;
+        this._applyZoomFactor();
+    },
+
+    _applyZoomFactor: function() {
+        if (this.browser && this.browser.markupDocumentViewer) {
+            this.browser.markupDocumentViewer.fullZoom = this.zoomFactor;
+        }
+    },
+
     _cleanUp: function() {
+        if (this.browser && typeof(this.browser.stop) === 'function') {
+            this.browser.stop();
+        }
+        this._unregister();
+    },
+
+    _unregister: function() {
+        // Stops tracking current load, without stopping the browser. A load
+        // may still be tracked when a new one starts.
         if (this._timeout) {
             clearTimeout(this._timeout);
             this._timeout = null;
         }
         if (this.browser) {
-            if (typeof(this.browser.stop) === 'function') {
-                this.browser.stop();
+            if (this._readyListener) {
+                this.browser.removeEventListener('DOMContentLoaded', this._readyListener, true);
             }
             NetLog.unregisterBrowser(this.browser);
             PageProgress.unregisterBrowser(this.browser);
         }
+        this._readyListener = null;
+        this._loading = false;
+        this._internalLoad = false;
+        this._sameDocumentLoad = false;
+        this._fullLoadPending = false;
+        this._channel = null;
+        this._requests = {};
     },
 
 
+    holdLoad: function() {
+        // Defers fullLoad, and the clean up coming with it, until released.
+        // Resources stay tracked while something waits on the page.
+        this._loadHolds++;
+    },
+
+    releaseLoad: function() {
+        this._loadHolds = Math.max(0, this._loadHolds - 1);
+        if (this._loadHolds === 0 && this._fullLoadPending) {
+            this._fullLoadPending = false;
+            emit(this, E_FULL_LOAD);
+        }
+    },
+
+    _emitMockedResponse: function(request, response) {
+        mockedResponses(request, response).forEach(function(response) {
+            emit(this, E_RES_REC, response);
+        }.bind(this));
+        delete this._requests[request.id];
+    },
+
+    _registerProgressListener: function() {
+        // Tab lifetime progress listener, for navigations we don't start
+        // ourselves.
+        this._progressListener = {
+            QueryInterface: XPCOMUtils.generateQI([
+                Ci.nsIWebProgressListener, Ci.nsISupportsWeakReference
+            ]),
+            onStateChange: bindListener(this, this._onStateChange),
+            onLocationChange: bindListener(this, this._onLocationChange),
+            onProgressChange: function() {},
+            onStatusChange: function() {},
+            onSecurityChange: function() {}
+        };
+        this.browser.addProgressListener(this._progressListener,
+            Ci.nsIWebProgress.NOTIFY_STATE_ALL | Ci.nsIWebProgress.NOTIFY_LOCATION
+        );
+
+        // GET form submissions look like links for the docShell
+        this.browser.addEventListener('submit', this._onSubmit, false);
+    },
+
+    _unregisterProgressListener: function() {
+        if (this.browser && this._progressListener) {
+            this.browser.removeProgressListener(this._progressListener);
+            this.browser.removeEventListener('submit', this._onSubmit, false);
+        }
+        this._progressListener = null;
+        this._formSubmit = null;
+    },
+
+    _onSubmit: function(evt) {
+        let form = evt.target;
+        if (evt.defaultPrevented || (form.target || '').toLowerCase() === '_blank') {
+            return;
+        }
+        this._formSubmit = {
+            window: form.ownerDocument.defaultView,
+            action: stripQuery(form.action || form.ownerDocument.URL)
+        };
+    },
+
+    _onStateChange: function(webProgress, request, flags, status) {
+        const {
+            STATE_START, STATE_STOP, STATE_IS_DOCUMENT, STATE_IS_REQUEST
+        } = Ci.nsIWebProgressListener;
+
+        if ((flags & STATE_STOP) && (flags & STATE_IS_REQUEST)) {
+            this._onRequestStop(request, status);
+            return;
+        }
+
+        if (!(flags & STATE_START) || !(flags & STATE_IS_DOCUMENT)) {
+            return;
+        }
+
+        let url = request.QueryInterface(Ci.nsIChannel).URI.spec;
+        let isMainFrame = webProgress.DOMWindow === this.browser.contentWindow;
+        let internal = false;
+        if (isMainFrame) {
+            // about:blank before each load is not a navigation
+            if (this._blankLoad && url === 'about:blank') {
+                this._blankLoad = false;
+                return;
+            }
+            internal = this._internalLoad;
+            this._internalLoad = false;
+        }
+
+        // Neither are initial or empty frame documents
+        if (!internal && url === 'about:blank') {
+            return;
+        }
+
+        let willNavigate = internal || !this.navigationLocked;
+
+        // Navigation of the last submitted form
+        let submit = this._formSubmit;
+        let isForm = !internal && submit !== null &&
+            submit.window === webProgress.DOMWindow && submit.action === stripQuery(url);
+        this._formSubmit = null;
+
+        emit(this, E_NAV_REQ, url, navigationType(webProgress, request, isForm), willNavigate, isMainFrame);
+
+        if (!willNavigate) {
+            request.cancel(Cr.NS_BINDING_ABORTED);
+        }
+        else if (isMainFrame && !internal && !this._readyListener) {
+            this._track(url);
+        }
+    },
+
+    _onRequestStop: function(request, status) {
+        // Network errors, for any request of the page
+        let error = networkError(status);
+        if (error === null) {
+            return;
+        }
+
+        let url = request.name;
+        let id = null;
+        try {
+            url = request.QueryInterface(Ci.nsIChannel).URI.spec;
+        } catch(e) {}
+
+        for (let k in this._requests) {
+            if (this._requests[k].channel === request || this._requests[k].url === url) {
+                id = this._requests[k].id;
+                delete this._requests[k];
+                break;
+            }
+        }
+
+        emit(this, E_RES_ERROR, mix({id: id, url: url}, error));
+    },
+
+    _onLocationChange: function(webProgress, request, location, flags) {
+        // Top level only, including history.pushState and hash changes
+        if (webProgress.DOMWindow !== this.browser.contentWindow) {
+            return;
+        }
+        let url = location.spec;
+        if (url !== this._lastURL && (url !== 'about:blank' || this._loadURL === url)) {
+            this._lastURL = url;
+            emit(this, E_URL_CHANGED, url);
+        }
+
+        // History entry of the current document, there is no load to wait
+        if (this._sameDocumentLoad && (flags & Ci.nsIWebProgressListener.LOCATION_CHANGE_SAME_DOCUMENT)) {
+            this._sameDocumentLoad = false;
+            this._internalLoad = false;
+            if (this._timeout) {
+                clearTimeout(this._timeout);
+                this._timeout = null;
+            }
+
+            emit(this, E_READY);
+            emit(this, E_LOAD);
+            if (this._loadHolds > 0) {
+                this._fullLoadPending = true;
+            }
+            else {
+                emit(this, E_FULL_LOAD);
+            }
+        }
+    },
+
     select: function() {
         if (this.tab === null) {
             return;
@@ -127,6 +401,9 @@ const Tab = Class({
 
             this._tab = evt.target;
             this._browser = getBrowserForTab(this.tab);
+            this._applyViewportSize();
+            this._applyZoomFactor();
+            this._registerProgressListener();
 
             emit(this, E_OPEN, this.tab);
 
@@ -147,11 +424,13 @@ const Tab = Class({
             this.container.removeEventListener('TabClose', onClose, true);
             this._browser = null;
             this._tab = null;
+            this._lastURL = null;
             emit(this, E_CLOSE);
         });
 
         if (this.tab) {
             this._cleanUp();
+            this._unregisterProgressListener();
             this.container.addEventListener('TabClose', onClose, true);
             getOwnerWindow(this.tab).gBrowser.removeTab(this.tab);
         }
@@ -160,23 +439,206 @@ const Tab = Class({
         }
     },
 
-    load: function(url) {
-        let _ready = bindListener(this, function() {
-            this.browser.removeEventListener('DOMContentLoaded', _ready, true);
-            _load();
+    _setCachePolicy: function(name) {
+        let policy = CACHE_POLICIES[name || 'bypass'];
+        if (!policy) {
+            throw new Error('Unknown cache policy "' + name + '"');
+        }
+        this._cachePolicy = policy;
+    },
+
+    load: function(url, options) {
+        // options.content loads given markup with url as document URL,
+        // options.response is the route response it comes from.
+        // options.method, options.postData (encoded), options.postContentType
+        // and options.headers make the request. options.cachePolicy is one
+        // of CACHE_POLICIES.
+        options = options || {};
+        this._setCachePolicy(options.cachePolicy);
+        this._unregister();
+        this._loadURL = url;
+        this._loading = true;
+
+        this._readyListener = bindListener(this, function() {
+            this.browser.removeEventListener('DOMContentLoaded', this._readyListener, true);
+            this._readyListener = null;
+
+            this._navigate(function() {
+                // Main document from a route
+                if (options.response) {
+                    let request = {id: 0, method: 'GET', url: url, time: new Date(), headers: []};
+                    emit(this, E_RES_REQ, request, NetworkRequest(null, request));
+                    this._emitMockedResponse(request, options.response);
+                }
+
+                if (typeof(options.content) === 'string') {
+                    let converter = Cc['@mozilla.org/intl/scriptableunicodeconverter']
+                        .createInstance(Ci.nsIScriptableUnicodeConverter);
+                    converter.charset = 'UTF-8';
+
+                    this.browser.docShell.loadStream(
+                        converter.convertToInputStream(options.content),
+                        ioService.newURI(url, null, null),
+                        options.contentType || 'text/html', 'UTF-8', null
+                    );
+                }
+                else {
+                    let method = (options.method || 'GET').toUpperCase();
+                    this._requestMethod = ['GET', 'POST'].indexOf(method) === -1 ? method : null;
+
+                    this.browser.webNavigation.loadURI(url, LOAD_FLAGS | this._cachePolicy.load, null,
+                        postDataStream(options.postData, options.postContentType),
+                        headersStream(options.headers)
+                    );
+                }
+            });
+        });
+
+        // Empty document first, kept out of session history
+        this.browser.stop();
+        this.browser.addEventListener('DOMContentLoaded', this._readyListener, true);
+        this._blankLoad = true;
+        this.browser.loadURIWithFlags('about:blank', Ci.nsIWebNavigation.LOAD_FLAGS_BYPASS_HISTORY);
+    },
+
+    canGo: function(delta) {
+        if (!this.browser || !delta) {
+            return false;
+        }
+        let history = this.browser.webNavigation.sessionHistory;
+        let index = history.index + delta;
+        return index >= 0 && index < history.count;
+    },
+
+    go: function(delta) {
+        // Session history navigation, delta entries from the current one
+        if (!this.canGo(delta)) {
+            throw new Error('No history entry at ' + delta);
+        }
+        let history = this.browser.webNavigation.sessionHistory;
+        let index = history.index + delta;
+        let entry = history.getEntryAtIndex(index, false).QueryInterface(Ci.nsISHEntry);
+        let current = history.getEntryAtIndex(history.index, false).QueryInterface(Ci.nsISHEntry);
+        this._unregister();
+        this._loadURL = entry.URI.spec;
+        this._loading = true;
+
+        // pushState and hash entries only change location, other documents
+        // restored from bfcache wouldn't fire any load event.
+        if (entry.sharesDocumentWith(current)) {
+            this._sameDocumentLoad = true;
+        }
+        else {
+            try {
+                history.QueryInterface(Ci.nsISHistoryInternal).evictAllContentViewers();
+            } catch(e) {}
+        }
+
+        this._navigate(function() {
+            this.browser.webNavigation.gotoIndex(index);
         });
+    },
+
+    reload: function(options) {
+        // options.cachePolicy is one of CACHE_POLICIES
+        options = options || {};
+        this._setCachePolicy(options.cachePolicy);
+        this._unregister();
+        this._loadURL = this.browser.currentURI.spec;
+        this._loading = true;
 
+        this._navigate(function() {
+            this.browser.webNavigation.reload(this._cachePolicy.load);
+        });
+    },
+
+    stop: function() {
+        if (this._loading) {
+            emit(this, E_LOAD_FAIL, 'Load stopped');
+        }
+        else if (this.browser) {
+            this.browser.stop();
+        }
+    },
+
+    _track: function(url) {
+        // Navigation started by the page (link, form, location, refresh),
+        // already under way. It supersedes any load in progress.
+        this._unregister();
+        this._loadURL = url;
+        this._loading = true;
+        this._navigate(null);
+    },
+
+    _navigate: function(navigate) {
+        // Registers network and progress listeners, then calls navigate
+        // unless the navigation is already started.
         let netLogOptions = {
+            captureTypes: this.options.captureTypes.concat(DOCUMENT_TYPES),
+
             onRequest: function(request) {
-                emit(this, E_RES_REQ, request);
+                // onModifyRequest just gave us the channel
+                let channel = this._channel;
+                this._channel = null;
+                if (channel && channel.URI.spec !== request.url) {
+                    channel = null;
+                }
+
+                let networkRequest = NetworkRequest(channel, request);
+                this._requests[request.id] = networkRequest;
+                emit(this, E_RES_REQ, request, networkRequest);
+
+                if (networkRequest.aborted) {
+                    delete this._requests[request.id];
+                    emit(this, E_RES_ERROR, {
+                        id: request.id,
+                        url: request.url,
+                        errorCode: ERROR_CANCELED,
+                        errorString: 'Operation canceled'
+                    });
+                }
+                else if (networkRequest.mocked) {
+                    this._emitMockedResponse(request, networkRequest.mocked);
+                }
             }.bind(this),
 
             onResponse: function(response) {
+                let networkRequest = this._requests[response.id];
+                if (response.stage === 'start') {
+                    response.fromCache = false;
+                    try {
+                        response.fromCache = networkRequest.channel
+                            .QueryInterface(Ci.nsICachingChannel).isFromCache();
+                    } catch(e) {}
+                }
+                if (response.stage === 'end') {
+                    delete this._requests[response.id];
+                }
                 emit(this, E_RES_REC, response);
+
+                let error = response.stage === 'end' && httpError(response);
+                if (error) {
+                    emit(this, E_RES_ERROR, mix({
+                        id: response.id,
+                        url: response.url,
+                        status: response.status,
+                        statusText: response.statusText
+                    }, error));
+                }
             }.bind(this),
 
             onModifyRequest: function(subject) {
+                // Other methods than GET and POST for main document
+                if (this._requestMethod !== null &&
+                    subject.loadFlags & Ci.nsIChannel.LOAD_INITIAL_DOCUMENT_URI
+                ) {
+                    subject.QueryInterface(Ci.nsIHttpChannel).requestMethod = this._requestMethod;
+                    this._requestMethod = null;
+                }
+                subject.loadFlags |= this._cachePolicy.channel;
+
                 emit(this, E_REQUEST, subject);
+                this._channel = subject;
             }.bind(this),
 
             onExamineResponse: function(subject) {
@@ -191,6 +653,8 @@ const Tab = Class({
             }.bind(this),
 
             onTransferStarted: function() {
+                // New documents may come with their own zoom
+                this._applyZoomFactor();
                 emit(this, E_START);
             }.bind(this),
 
@@ -217,7 +681,7 @@ const Tab = Class({
                 }
                 else {
                     emit(this, E_LOAD);
-                    setTimeout(fullLoad, this.options.loadWait);
+                    this._timeout = setTimeout(fullLoad, this.options.loadWait);
                 }
             }.bind(this)
         };
@@ -231,30 +695,109 @@ const Tab = Class({
         }.bind(this);
 
         let fullLoad = function() {
+            this._timeout = null;
+            if (this._loadHolds > 0) {
+                this._fullLoadPending = true;
+                return;
+            }
             emit(this, E_FULL_LOAD);
         }.bind(this);
 
-        let _load = function() {
-            NetLog.registerBrowser(this.browser, netLogOptions);
+        this._applyViewportSize();
+        NetLog.registerBrowser(this.browser, netLogOptions);
 
+        if (navigate) {
             this.browser.stop();
-            this._timeout = setTimeout(startWait, this.options.startTimeout);
-            PageProgress.registerBrowser(this.browser, progressOptions);
-
-            // Load page
-            emit(this, E_INIT);
-            this.browser.loadURIWithFlags(url, LOAD_FLAGS, null, null, null);
-        }.bind(this);
-
-        this.browser.stop();
-        this.browser.addEventListener('DOMContentLoaded', _ready, true);
-        this.browser.loadURI('about:blank');
+        }
+        this._timeout = setTimeout(startWait, this.options.startTimeout);
+        PageProgress.registerBrowser(this.browser, progressOptions);
+
+        // Load page
+        emit(this, E_INIT);
+        if (navigate) {
+            // Until its document starts, or the load ends without one
+            this._internalLoad = true;
+            try {
+                navigate.call(this);
+            }
+            catch(e) {
+                this._internalLoad = false;
+                throw e;
+            }
+        }
     }
 });
 
 exports.Tab = Tab;
 
 
+const stringStream = function(data) {
+    let stream = Cc['@mozilla.org/io/string-input-stream;1']
+                    .createInstance(Ci.nsIStringInputStream);
+    stream.setData(data, data.length);
+    return stream;
+};
+
+const postDataStream = function(data, contentType) {
+    if (data === undefined || data === null) {
+        return null;
+    }
+    let stream = Cc['@mozilla.org/network/mime-input-stream;1']
+                    .createInstance(Ci.nsIMIMEInputStream);
+    stream.addHeader('Content-Type', contentType || 'application/x-www-form-urlencoded');
+    stream.addContentLength = true;
+    stream.setData(stringStream(data));
+    return stream;
+};
+
+const headersStream = function(headers) {
+    let names = Object.keys(headers || {});
+    if (names.length === 0) {
+        return null;
+    }
+    return stringStream(names.map(function(name) {
+        return name + ': ' + headers[name] + '\r\n';
+    }).join(''));
+};
+
+
+const navigationType = function(webProgress, request, isForm) {
+    // PhantomJS navigation type from docShell load type and request method,
+    // isForm tells a GET form submission from a link.
+    let method = null;
+    try {
+        method = request.QueryInterface(Ci.nsIHttpChannel).requestMethod;
+    } catch(e) {}
+
+    let loadType = 0;
+    try {
+        loadType = webProgress.QueryInterface(Ci.nsIDocShell).loadType;
+    } catch(e) {}
+
+    let command = loadType & 0xffff;
+    let flags = loadType >> 16;
+
+    if (command & Ci.nsIDocShell.LOAD_CMD_HISTORY) {
+        return 'BackOrForward';
+    }
+    if (command & Ci.nsIDocShell.LOAD_CMD_RELOAD) {
+        return method === 'POST' ? 'FormResubmitted' : 'Reload';
+    }
+    if (method === 'POST' || isForm) {
+        return 'FormSubmitted';
+    }
+    if (flags & Ci.nsIWebNavigation.LOAD_FLAGS_IS_LINK) {
+        return 'LinkClicked';
+    }
+    return 'Other';
+};
+
+
+const stripQuery = function(url) {
+    return url.split(/[?#]/)[0];
+};
+
+
 const bindListener = function(obj, listener) {
     return function() {
         try {
@@ -1,6 +1,11 @@
 "use strict";
 
+const {Cc, Ci} = require("chrome");
+
+const file = require("sdk/io/file");
 const Q = require("sdk/core/promise");
+const {pathFor} = require("sdk/system");
+const {setTimeout} = require("sdk/timers");
 const {URL} = require("sdk/url");
 const {startServer} = require("webpage/test/tools");
 
@@ -10,7 +15,16 @@ const port = 8099;
 
 let srv = startServer(port, URL("fixtures/", module.uri).toString(), [
     "base.html",
+    "callback.html",
+    "history.html",
+    "idle.html",
+    "input.html",
     "lorem.txt",
+    "long.html",
+    "navigation.html",
+    "refresh.html",
+    "settings.html",
+    "upload.html",
     "window-events.html",
     "js/base.js",
     "js/included.js"
@@ -23,6 +37,64 @@ srv.registerPathHandler("/cookie", function(request, response) {
     response.write("test");
     response.finish();
 });
+srv.registerPathHandler("/image.png", function(request, response) {
+    response.setStatusLine(request.httpVersion, 200, "OK");
+    response.setHeader("Content-Type", "image/png", false);
+    response.processAsync();
+    response.write(require("sdk/base64").decode(
+        "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg=="
+    ));
+    response.finish();
+});
+srv.registerPathHandler("/headers", function(request, response) {
+    response.setStatusLine(request.httpVersion, 200, "OK");
+    response.setHeader("Content-Type", "text/plain; charset=UTF-8", false);
+    response.processAsync();
+    response.write(request.hasHeader("X-Test") ? request.getHeader("X-Test") : "none");
+    response.finish();
+});
+srv.registerPathHandler("/slow.js", function(request, response) {
+    response.setStatusLine(request.httpVersion, 200, "OK");
+    response.setHeader("Content-Type", "application/javascript", false);
+    response.processAsync();
+    require("sdk/timers").setTimeout(function() {
+        try {
+            response.write("var slowVar = 1;");
+            response.finish();
+        } catch(e) {}
+    }, 3000);
+});
+srv.registerPathHandler("/delayed", function(request, response) {
+    response.setStatusLine(request.httpVersion, 200, "OK");
+    response.setHeader("Content-Type", "text/plain", false);
+    response.processAsync();
+    require("sdk/timers").setTimeout(function() {
+        try {
+            response.write("done");
+            response.finish();
+        } catch(e) {}
+    }, 300);
+});
+srv.registerPathHandler("/redirect", function(request, response) {
+    response.setStatusLine(request.httpVersion, 302, "Found");
+    response.setHeader("Location", "/base.html", false);
+});
+srv.registerPathHandler("/echo", function(request, response) {
+    let stream = Cc["@mozilla.org/binaryinputstream;1"].createInstance(Ci.nsIBinaryInputStream);
+    stream.setInputStream(request.bodyInputStream);
+    let body = stream.available() > 0 ? stream.readBytes(stream.available()) : "";
+
+    response.setStatusLine(request.httpVersion, 200, "OK");
+    response.setHeader("Content-Type", "text/plain; charset=UTF-8", false);
+    response.processAsync();
+    response.write([
+        request.method,
+        request.hasHeader("Content-Type") ? request.getHeader("Content-Type") : "",
+        request.hasHeader("X-Test") ? request.getHeader("X-Test") : "",
+        body
+    ].join("\n"));
+    response.finish();
+});
 srv.registerPathHandler("/auth", function(request, response) {
     response.setHeader("Content-Type", "text/plain; charset=UTF-8", false);
 
@@ -46,6 +118,18 @@ const pageURL = function(path) {
     return "http://127.0.0.1:" + port + path;
 };
 
+const pngSize = function(data) {
+    // Width and height from PNG IHDR chunk
+    let readInt = function(offset) {
+        let res = 0;
+        for (let i = offset; i < offset + 4; i++) {
+            res = res * 256 + data.charCodeAt(i);
+        }
+        return res;
+    };
+    return {width: readInt(16), height: readInt(20)};
+};
+
 
 exports["test open"] = function(assert, done) {
     let p = webpage.create();
@@ -59,8 +143,8 @@ exports["test open"] = function(assert, done) {
 
 exports["test open promise"] = function(assert, done) {
     let p = webpage.create();
-    p.open(pageURL("/lorem.txt")).then(function(status) {
-        assert.equal(status, "success");
+    p.open(pageURL("/lorem.txt")).then(function(result) {
+        assert.equal(result.status, "success");
         assert.equal(p.url, pageURL("/lorem.txt"));
     }).then(function() {
         p.close().then(done);
@@ -93,7 +177,7 @@ exports["test evaluate"] = function(assert, done) {
 exports["test include"] = function(assert, done) {
     let p = webpage.create();
     p.open(pageURL("/base.html"))
-    .then(function(status) {
+    .then(function(result) {
         let included = pageURL("/js/included.js");
         p.includeJS(included, function() {
             assert.equal("bar", p.evaluate(function() { return varIncluded; }));
@@ -105,13 +189,13 @@ exports["test include"] = function(assert, done) {
 exports["test double load"] = function(assert, done) {
     let p = webpage.create();
     p.open(pageURL("/lorem.txt"))
-    .then(function(status) {
-        assert.equal(status, "success");
+    .then(function(result) {
+        assert.equal(result.status, "success");
         assert.equal(p.evaluate(function() { return document.title; }), "");
         return p.open(pageURL("/base.html"));
     })
-    .then(function(status) {
-        assert.ok(p.plainText.indexOf("<!DOCTYPE HTML>") === 0);
+    .then(function(result) {
+        assert.ok(p.mainResponse.body.indexOf("<!DOCTYPE HTML>") === 0);
         assert.equal(p.evaluate(function() { return document.title; }), "Test page");
         p.close().then(done);
     });
@@ -134,9 +218,10 @@ exports["test window events"] = function(assert, done) {
         events["prompt"] = msg;
         return "promptResponse";
     };
+    p.ownsPages = false;
 
     p.open(pageURL("/window-events.html"))
-    .then(function(status) {
+    .then(function(result) {
         assert.equal(events["alert"], "Hello");
         assert.equal(events["confirm"], "Confirm box");
         assert.equal(events["prompt"], "Prompt dialog");
@@ -153,8 +238,10 @@ exports["test options"] = function(assert, done) {
     let p = webpage.create({startTimeout: 0});
 
     p.open(pageURL("/base.html"))
-    .then(function(status) {
-        assert.equal(status, "fail");
+    .then(function(result) {
+        assert.strictEqual(result.status, "fail");
+        assert.equal(result.reason, "Start timeout");
+        assert.equal(result.errorCode, 408);
         p.close().then(done);
     });
 };
@@ -201,7 +288,8 @@ exports["test authenticated"] = function(assert, done) {
 
     p.open(pageURL("/auth"))
     .then(function(result) {
-        assert.equal(p.plainText, "unauthorized");
+        assert.equal(p.mainResponse.status, 401);
+        assert.equal(p.mainResponse.body, "unauthorized");
 
         p.settings.userName = "foo";
         p.settings.password = "bar";
@@ -209,7 +297,8 @@ exports["test authenticated"] = function(assert, done) {
         return p.open(p.url);
     })
     .then(function(result) {
-        assert.equal(p.plainText, "ok");
+        assert.equal(p.mainResponse.status, 200);
+        assert.equal(p.mainResponse.body, "ok");
         p.close();
         done();
     });
@@ -297,5 +386,1185 @@ exports["test cookies"] = function(assert, done) {
     .then(null, console.exception).then(done);
 };
 
+exports["test render"] = function(assert, done) {
+    let p = webpage.create();
+    let root = file.join(pathFor("TmpD"), "webpage-test-render");
+    let png = file.join(root, "sub", "page.png");
+    let jpg = file.join(root, "page.jpg");
+
+    p.open(pageURL("/base.html"))
+    .then(function(result) {
+        return p.render(png);
+    })
+    .then(function(filename) {
+        assert.equal(filename, png);
+        assert.equal(file.read(png, "b").substr(1, 3), "PNG");
+
+        return p.render(jpg, {quality: 50});
+    })
+    .then(function() {
+        assert.equal(file.read(jpg, "b").substr(0, 2), "\xFF\xD8");
+        assert.equal(p.renderBytes("bmp").substr(0, 2), "BM");
+
+        // Icons are 256 pixels at most
+        p.clipRect = {top: 0, left: 0, width: 32, height: 32};
+        assert.equal(p.renderBytes("ico").substr(0, 4), "\x00\x00\x01\x00");
+
+        assert.throws(function() {
+            p.renderBase64("tiff");
+        });
+
+        file.remove(png);
+        file.remove(jpg);
+        file.rmdir(file.join(root, "sub"));
+        file.rmdir(root);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test render pdf"] = function(assert, done) {
+    let p = webpage.create();
+    let pdf = file.join(pathFor("TmpD"), "webpage-test-render.pdf");
+
+    assert.throws(function() {
+        p.paperSize = {format: "A42"};
+    });
+    assert.throws(function() {
+        p.paperSize = {width: "10furlongs", height: "10cm"};
+    });
+    assert.equal(p.paperSize, null);
+
+    p.paperSize = {
+        format: "A4",
+        orientation: "landscape",
+        margin: "1cm",
+        footer: {
+            height: "1cm",
+            contents: function(pageNum, numPages) {
+                return "<span>" + pageNum + " / " + numPages + "</span>";
+            }
+        }
+    };
+    assert.equal(p.paperSize.format, "A4");
+
+    p.open(pageURL("/base.html"))
+    .then(function(result) {
+        return p.render(pdf);
+    })
+    .then(function() {
+        assert.equal(file.read(pdf, "b").substr(0, 4), "%PDF");
+        file.remove(pdf);
+
+        return p.renderBytes("pdf");
+    })
+    .then(function(data) {
+        assert.equal(data.substr(0, 4), "%PDF");
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test viewportSize"] = function(assert, done) {
+    let p = webpage.create();
+
+    assert.equal(p.viewportSize, null);
+    assert.throws(function() {
+        p.viewportSize = {width: 0, height: 300};
+    });
+
+    p.viewportSize = {width: 400, height: 300};
+    assert.deepEqual(p.viewportSize, {width: 400, height: 300});
+
+    p.open(pageURL("/base.html"))
+    .then(function(result) {
+        assert.equal(p.evaluate(function() { return window.innerWidth; }), 400);
+        assert.equal(p.evaluate(function() { return window.innerHeight; }), 300);
+        assert.deepEqual(pngSize(p.renderBytes("png")), {width: 400, height: 300});
+
+        p.evaluate(function() {
+            window.resized = null;
+            window.addEventListener("resize", function() {
+                window.resized = [window.innerWidth, window.innerHeight];
+            }, false);
+        });
+        p.viewportSize = {width: 320, height: 200};
+
+        let D = Q.defer();
+        let wait = function() {
+            if (p.evaluate(function() { return window.resized !== null; })) {
+                D.resolve();
+            }
+            else {
+                setTimeout(wait, 50);
+            }
+        };
+        wait();
+        return D.promise;
+    })
+    .then(function() {
+        assert.deepEqual(p.evaluate(function() { return window.resized; }), [320, 200]);
+        assert.deepEqual(pngSize(p.renderBytes("png")), {width: 320, height: 200});
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test zoomFactor"] = function(assert, done) {
+    let p = webpage.create();
+
+    assert.equal(p.zoomFactor, 1);
+    assert.throws(function() {
+        p.zoomFactor = 0;
+    });
+
+    p.viewportSize = {width: 400, height: 300};
+    p.zoomFactor = 2;
+
+    p.open(pageURL("/base.html"))
+    .then(function(result) {
+        assert.equal(p.evaluate(function() { return window.innerWidth; }), 200);
+        assert.deepEqual(pngSize(p.renderBytes("png")), {width: 400, height: 300});
+        assert.deepEqual(pngSize(p.renderBytes("png", 2)), {width: 800, height: 600});
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test scrollPosition"] = function(assert, done) {
+    let p = webpage.create();
+
+    assert.deepEqual(p.scrollPosition, {top: 0, left: 0});
+    assert.throws(function() {
+        p.scrollPosition = {top: -1};
+    });
+
+    p.viewportSize = {width: 400, height: 300};
+    p.scrollPosition = {top: 1000, left: 0};
+
+    p.open(pageURL("/long.html"))
+    .then(function(result) {
+        // Value set before open is applied after load
+        assert.deepEqual(p.scrollPosition, {top: 1000, left: 0});
+
+        p.scrollPosition = {top: 2000, left: 100};
+        assert.equal(p.evaluate(function() { return window.scrollY; }), 2000);
+        assert.equal(p.evaluate(function() { return window.scrollX; }), 100);
+        assert.deepEqual(p.scrollPosition, {top: 2000, left: 100});
+
+        // Captures viewport, not the whole page
+        let size = pngSize(p.renderBytes("png"));
+        assert.ok(size.width <= 400);
+        assert.ok(size.height <= 300);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test setContent"] = function(assert, done) {
+    let p = webpage.create();
+    let events = [];
+    p.onLoadStarted = function() {
+        events.push("loadStarted");
+    };
+    p.onLoadFinished = function(status) {
+        events.push("loadFinished");
+    };
+
+    let html = "<!DOCTYPE HTML><html><head><title>Generated</title></head>" +
+               "<body><p>Hello</p><script src=\"/js/base.js\"></script></body></html>";
+
+    p.setContent(html, pageURL("/generated.html"))
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.deepEqual(events, ["loadStarted", "loadFinished"]);
+        assert.equal(p.url, pageURL("/generated.html"));
+        assert.equal(p.evaluate(function() { return document.title; }), "Generated");
+
+        // Relative resources are loaded from base URL
+        assert.equal(p.evaluate(function() { return testVar; }), 1);
+
+        p.evaluate(function() {
+            document.querySelector("p").textContent = "Changed";
+        });
+        assert.ok(p.content.indexOf("<!DOCTYPE html>") === 0);
+        assert.ok(p.content.indexOf("<p>Changed</p>") !== -1);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test plainText"] = function(assert, done) {
+    let p = webpage.create();
+    p.open(pageURL("/base.html"))
+    .then(function(result) {
+        assert.equal(p.plainText.trim(), "Google");
+
+        let response = p.mainResponse;
+        assert.equal(response.status, 200);
+        assert.equal(response.url, pageURL("/base.html"));
+        assert.equal(response.charset, "utf-8");
+        assert.ok(response.body.indexOf("<!DOCTYPE HTML>") === 0);
+        assert.equal(response.text, response.body);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test sendEvent"] = function(assert, done) {
+    let p = webpage.create();
+    p.open(pageURL("/input.html"))
+    .then(function() {
+        return p.foreground();
+    })
+    .then(function() {
+        p.sendEvent("click", 10, 10);
+        p.sendEvent("doubleclick", 10, 10);
+        p.sendEvent("contextmenu", 10, 10);
+
+        let events = p.evaluate(function() { return events.join(","); }).split(",");
+        assert.equal(events.filter(function(v) v == "click:true").length, 3);
+        assert.ok(events.indexOf("dblclick:true") !== -1);
+        assert.ok(events.indexOf("contextmenu:true") !== -1);
+
+        p.evaluate(function() {
+            document.getElementById("text").focus();
+        });
+        p.sendEvent("keypress", "abc");
+        p.sendEvent("keypress", p.event.key.D, null, null, p.event.modifier.shift);
+        assert.equal(p.evaluate(function() {
+            return document.getElementById("text").value;
+        }), "abcD");
+        assert.ok(p.evaluate(function() { return events; }).indexOf("shift") !== -1);
+
+        p.sendEvent("keypress", "Backspace");
+        assert.equal(p.evaluate(function() {
+            return document.getElementById("text").value;
+        }), "abc");
+
+        assert.throws(function() {
+            p.sendEvent("mousewheel", 10, 10);
+        });
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test uploadFile"] = function(assert, done) {
+    let p = webpage.create();
+    let f1 = file.join(pathFor("TmpD"), "webpage-upload-1.txt");
+    let f2 = file.join(pathFor("TmpD"), "webpage-upload-2.txt");
+    file.write(f1, "one");
+    file.write(f2, "two");
+
+    p.open(pageURL("/upload.html"))
+    .then(function() {
+        p.uploadFile("#single", f1);
+        assert.deepEqual(p.evaluate(function() { return changes; }), ["webpage-upload-1.txt"]);
+
+        p.uploadFile("#multiple", [f1, f2]);
+        assert.equal(p.evaluate(function() {
+            return document.getElementById("multiple").files.length;
+        }), 2);
+
+        assert.throws(function() {
+            p.uploadFile("#nothing", f1);
+        }, /No element/);
+        assert.throws(function() {
+            p.uploadFile("#text", f1);
+        }, /not a file input/);
+        assert.throws(function() {
+            p.uploadFile("#single", [f1, f2]);
+        }, /multiple/);
+        assert.throws(function() {
+            p.uploadFile("#single", f1 + ".missing");
+        }, /does not exist/);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        file.remove(f1);
+        file.remove(f2);
+        p.close().then(done);
+    });
+};
+
+exports["test navigationRequested"] = function(assert, done) {
+    let p = webpage.create();
+    let requests = [];
+    p.onNavigationRequested = function(url, type, willNavigate, main) {
+        requests.push([url, type, willNavigate, main]);
+    };
+    p.navigationLocked = true;
+
+    p.open(pageURL("/navigation.html"))
+    .then(function(result) {
+        // Open is never locked
+        assert.equal(result.status, "success");
+        assert.deepEqual(requests, [[pageURL("/navigation.html"), "Other", true, true]]);
+
+        p.evaluate(function() {
+            document.getElementById("link").click();
+        });
+
+        let D = Q.defer();
+        setTimeout(D.resolve, 500);
+        return D.promise;
+    })
+    .then(function() {
+        assert.equal(p.url, pageURL("/navigation.html"));
+        assert.deepEqual(requests[1], [pageURL("/lorem.txt"), "LinkClicked", false, true]);
+
+        p.evaluate(function() {
+            document.getElementById("form").submit();
+        });
+
+        let D = Q.defer();
+        setTimeout(D.resolve, 500);
+        return D.promise;
+    })
+    .then(function() {
+        assert.equal(p.url, pageURL("/navigation.html"));
+        assert.deepEqual(requests[2], [pageURL("/lorem.txt"), "FormSubmitted", false, true]);
+
+        p.evaluate(function() {
+            document.getElementById("get-submit").click();
+        });
+
+        let D = Q.defer();
+        setTimeout(D.resolve, 500);
+        return D.promise;
+    })
+    .then(function() {
+        assert.deepEqual(requests[3], [pageURL("/lorem.txt?q=baz"), "FormSubmitted", false, true]);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test urlChanged"] = function(assert, done) {
+    let p = webpage.create();
+    let urls = [];
+    p.onUrlChanged = function(url) {
+        urls.push(url);
+        assert.equal(p.url, url);
+    };
+
+    p.open(pageURL("/history.html"))
+    .then(function(result) {
+        assert.deepEqual(urls, [pageURL("/history.html")]);
+
+        p.evaluate(function() {
+            history.pushState({}, "", "/pushed");
+            history.replaceState({}, "", "/replaced");
+            location.hash = "section";
+        });
+
+        assert.deepEqual(urls.slice(1), [
+            pageURL("/pushed"),
+            pageURL("/replaced"),
+            pageURL("/replaced#section")
+        ]);
+        assert.equal(p.url, pageURL("/replaced#section"));
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test pageCreated"] = function(assert, done) {
+    let p = webpage.create();
+    p.settings.userName = "foo";
+    p.addCookie({
+        name: "test",
+        value: "cookieTest",
+        domain: "127.0.0.1"
+    });
+    p.globals = {"fooVar": "bar"};
+
+    let D = Q.defer();
+    let closing = Q.defer();
+    p.onPageCreated = function(child) {
+        child.onClosing = closing.resolve;
+        assert.equal(child.settings.userName, "foo");
+        assert.equal(child.cookies.length, 1);
+        assert.deepEqual(child.globals, {"fooVar": "bar"});
+
+        child.onLoadFinished = function(status) {
+            D.resolve(child);
+        };
+    };
+
+    p.open(pageURL("/navigation.html"))
+    .then(function() {
+        let handle = p.evaluate(function() {
+            window.popup = window.open("/base.html");
+            popup.focus();
+            return [popup.closed, typeof(popup.close)];
+        });
+        assert.deepEqual(handle, [false, "function"]);
+        assert.equal(p.pages.length, 1);
+        return D.promise;
+    })
+    .then(function(child) {
+        assert.equal(child.url, pageURL("/base.html"));
+        assert.equal(child.evaluate(function() { return fooVar; }), "bar");
+        assert.equal(p.evaluate(function() { return popup.location.href; }), pageURL("/base.html"));
+
+        p.evaluate(function() {
+            popup.close();
+        });
+        return closing.promise;
+    })
+    .then(function() {
+        assert.ok(p.evaluate(function() { return popup.closed; }));
+        assert.equal(p.pages.length, 0);
+
+        return p.close();
+    })
+    .then(function() {
+        assert.equal(p.pages.length, 0);
+
+        let p2 = webpage.create();
+        p2.ownsPages = false;
+        p2.onPageCreated = function() {
+            assert.fail("page should not be created");
+        };
+        return p2.open(pageURL("/navigation.html")).then(function() {
+            p2.evaluate(function() {
+                window.open("/base.html");
+            });
+            assert.equal(p2.pages.length, 0);
+            return p2.close();
+        });
+    })
+    .then(null, console.exception)
+    .then(done);
+};
+
+exports["test blank targets"] = function(assert, done) {
+    let p = webpage.create();
+    let loaded = [];
+    p.onPageCreated = function(child) {
+        let D = Q.defer();
+        child.onLoadFinished = function(status) {
+            D.resolve(child);
+        };
+        loaded.push(D.promise);
+    };
+
+    p.open(pageURL("/navigation.html"))
+    .then(function() {
+        p.evaluate(function() {
+            document.getElementById("blank-link").click();
+            document.getElementById("blank-submit").click();
+        });
+        assert.equal(p.pages.length, 2);
+        assert.equal(p.url, pageURL("/navigation.html"));
+        return Q.all(loaded);
+    })
+    .then(function(children) {
+        assert.equal(children[0].url, pageURL("/base.html"));
+        assert.equal(children[1].url, pageURL("/echo"));
+        assert.equal(children[1].mainResponse.body,
+            "POST\napplication/x-www-form-urlencoded\n\nfoo=bar");
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test callPhantom"] = function(assert, done) {
+    let p = webpage.create();
+    let received = [];
+    p.on("callback", function(data) {
+        received.push(data);
+    });
+    p.onCallback = function(data) {
+        return {answer: data.list.length};
+    };
+
+    p.open(pageURL("/callback.html"))
+    .then(function(result) {
+        assert.equal(received.length, 1);
+        assert.deepEqual(received[0], {hello: "world", list: [1, 2]});
+        assert.equal(p.evaluate(function() { return result.answer; }), 2);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test settings"] = function(assert, done) {
+    let grabHeader = function(name, request) {
+        request.headers.forEach(function(v) {
+            if (v.name == name) {
+                this.push(v.value);
+            }
+        }.bind(this));
+    };
+
+    let p = webpage.create();
+    let agents = [];
+    let urls = [];
+    p.settings.userAgent = "Webpage Test Agent";
+    p.settings.loadImages = false;
+    p.settings.javascriptEnabled = false;
+
+    assert.throws(function() {
+        p.settings.XSSAuditingEnabled = true;
+    }, /not supported/);
+    assert.throws(function() {
+        p.settings = {XSSAuditingEnabled: true};
+    }, /not supported/);
+    assert.equal(p.settings.XSSAuditingEnabled, false);
+
+    p.on("resourceRequested", grabHeader.bind(agents, "User-Agent"));
+    p.on("resourceRequested", function(request) {
+        urls.push(request.url);
+    });
+
+    p.open(pageURL("/settings.html"))
+    .then(function(result) {
+        assert.deepEqual(agents, ["Webpage Test Agent"]);
+        assert.equal(urls.indexOf(pageURL("/image.png")), -1);
+        assert.equal(p.evaluate(function() { return document.title; }), "Settings");
+
+        // Settings are only for this page
+        let p2 = webpage.create();
+        let urls2 = [];
+        p2.on("resourceRequested", function(request) {
+            urls2.push(request.url);
+        });
+        return p2.open(pageURL("/settings.html")).then(function() {
+            assert.ok(urls2.indexOf(pageURL("/image.png")) !== -1);
+            assert.equal(p2.evaluate(function() { return document.title; }), "Script");
+            return p2.close();
+        });
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test customHeaders"] = function(assert, done) {
+    let p = webpage.create();
+    let headers = {};
+    p.on("resourceRequested", function(request) {
+        headers[request.url] = {};
+        request.headers.forEach(function(v) {
+            headers[request.url][v.name] = v.value;
+        });
+    });
+
+    [
+        {"X-Bad": {origin: "page"}},
+        {"X-Bad": undefined},
+        {"X-Bad": function() {}},
+        {"X-Bad": {value: "bad", origin: 42}},
+        {"X-Bad": {value: "bad", origin: ["http://example.com", null]}}
+    ].forEach(function(value) {
+        assert.throws(function() {
+            p.customHeaders = value;
+        }, /should be a string/);
+    });
+    assert.deepEqual(p.customHeaders, {});
+
+    p.customHeaders = {
+        "X-All": "everywhere",
+        "X-Page": {value: "page-only", origin: "page"},
+        "X-Other": {value: "other-only", origin: ["http://example.com"]}
+    };
+
+    p.open(pageURL("/base.html"))
+    .then(function(result) {
+        [pageURL("/base.html"), pageURL("/js/base.js")].forEach(function(url) {
+            assert.equal(headers[url]["X-All"], "everywhere");
+            assert.equal(headers[url]["X-Page"], "page-only");
+            assert.equal(headers[url]["X-Other"], undefined);
+        });
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test request interception"] = function(assert, done) {
+    let p = webpage.create();
+    let errors = [];
+    p.onResourceRequested = function(request, networkRequest) {
+        if (request.url == pageURL("/headers")) {
+            networkRequest.setHeader("X-Test", "intercepted");
+        }
+        if (request.url == pageURL("/js/base.js")) {
+            networkRequest.abort();
+        }
+    };
+    p.onResourceError = function(error) {
+        errors.push(error);
+    };
+
+    p.open(pageURL("/headers"))
+    .then(function(result) {
+        assert.equal(p.mainResponse.body, "intercepted");
+        return p.open(pageURL("/base.html"));
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.evaluate(function() { return typeof(testVar); }), "undefined");
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].url, pageURL("/js/base.js"));
+        assert.equal(errors[0].errorCode, 5);
+
+        p.onResourceRequested = function(request, networkRequest) {
+            if (request.url == pageURL("/js/base.js")) {
+                networkRequest.changeUrl(pageURL("/js/included.js"));
+            }
+        };
+        return p.open(pageURL("/base.html"));
+    })
+    .then(function(result) {
+        assert.equal(p.evaluate(function() { return typeof(testVar); }), "undefined");
+        assert.equal(p.evaluate(function() { return varIncluded; }), "bar");
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test route"] = function(assert, done) {
+    let p = webpage.create();
+    let received = [];
+    let errors = [];
+    p.onResourceReceived = function(response) {
+        if (response.stage === "end") {
+            received.push(response);
+        }
+    };
+    p.onResourceError = function(error) {
+        errors.push(error.url);
+    };
+
+    p.route(pageURL("/mocked/*"), function(request, route) {
+        route.fulfill({
+            status: 201,
+            headers: {"content-type": "text/html; charset=utf-8"},
+            body: "<html><head><title>Mocked</title>" +
+                  "<script src=\"/js/mocked.js\"></script>" +
+                  "<script src=\"/js/not-found.js\"></script></head><body><script>" +
+                  "var xhr = new XMLHttpRequest(); xhr.open(\"GET\", \"/latin.txt\", false);" +
+                  "xhr.send(); var latinText = xhr.responseText;" +
+                  "</script></body></html>"
+        });
+    });
+    p.route(/\/js\/mocked\.js$/, function(request, route) {
+        route.fulfill({
+            contentType: "application/javascript",
+            body: "var mockedVar = 42; var mockedText = \"caf\u00e9 \u2603\";"
+        });
+    });
+    p.route(pageURL("/js/not-found.js"), function(request, route) {
+        // No status for sub resources, the request is aborted
+        route.fulfill({status: 404, body: "var notFoundVar = 1;"});
+    });
+    p.route(pageURL("/latin.txt"), function(request, route) {
+        route.fulfill({
+            contentType: "text/plain; charset=iso-8859-1",
+            body: "caf\u00e9"
+        });
+    });
+    p.route(pageURL("/base.html"), function(request, route) {
+        route.continue();
+    });
+
+    p.open(pageURL("/mocked/page.html"))
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.url, pageURL("/mocked/page.html"));
+        assert.equal(p.evaluate(function() { return document.title; }), "Mocked");
+        assert.equal(p.evaluate(function() { return mockedVar; }), 42);
+        assert.equal(p.evaluate(function() { return mockedText; }), "caf\u00e9 \u2603");
+        assert.equal(p.evaluate(function() { return latinText; }), "caf\u00e9");
+        assert.equal(p.evaluate(function() { return typeof(notFoundVar); }), "undefined");
+        assert.deepEqual(errors, [pageURL("/js/not-found.js")]);
+
+        assert.equal(p.mainResponse.status, 201);
+        assert.ok(p.mainResponse.mocked);
+        assert.equal(received.length, 3);
+        assert.ok(received.every(function(v) v.mocked));
+
+        received = [];
+        return p.open(pageURL("/base.html"));
+    })
+    .then(function(result) {
+        assert.equal(p.evaluate(function() { return document.title; }), "Test page");
+        assert.ok(received.every(function(v) !v.mocked));
+
+        p.unroute();
+        return p.open(pageURL("/mocked/page.html"));
+    })
+    .then(function(result) {
+        assert.equal(p.mainResponse.status, 404);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test HAR"] = function(assert, done) {
+    let p = webpage.create({captureTypes: ["application/javascript"]});
+    p.addCookie({
+        name: "test",
+        value: "cookieTest",
+        domain: "127.0.0.1"
+    });
+
+    p.open(pageURL("/base.html?foo=bar"))
+    .then(function(result) {
+        let har = p.getHAR();
+        assert.equal(har.log.version, "1.2");
+        assert.equal(har.log.pages.length, 1);
+        assert.equal(har.log.pages[0].title, "Test page");
+        assert.ok(har.log.pages[0].pageTimings.onLoad >= 0);
+
+        let entries = har.log.entries;
+        assert.equal(entries.length, 2);
+
+        assert.equal(entries[0].request.url, pageURL("/base.html?foo=bar"));
+        assert.deepEqual(entries[0].request.queryString, [{name: "foo", value: "bar"}]);
+        assert.deepEqual(entries[0].request.cookies, [{name: "test", value: "cookieTest"}]);
+        assert.equal(entries[0].response.status, 200);
+        assert.equal(entries[0].response.content.text, undefined);
+        assert.ok(entries[0].time >= 0);
+
+        assert.equal(entries[1].request.url, pageURL("/js/base.js"));
+        assert.ok(entries[1].response.content.text.indexOf("testVar") !== -1);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test resource errors"] = function(assert, done) {
+    let p = webpage.create();
+    let errors = [];
+    let timeouts = [];
+    p.onResourceError = function(error) {
+        errors.push(error);
+    };
+    p.onResourceTimeout = function(request) {
+        timeouts.push(request);
+    };
+    p.settings.resourceTimeout = 500;
+
+    let html = "<html><body>" +
+               "<script src=\"/missing.js\"></script>" +
+               "<script src=\"/slow.js\"></script>" +
+               "</body></html>";
+
+    p.setContent(html, pageURL("/resources.html"))
+    .then(function(result) {
+        assert.equal(result.status, "success");
+
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].url, pageURL("/missing.js"));
+        assert.equal(errors[0].errorCode, 203);
+        assert.equal(errors[0].status, 404);
+
+        assert.equal(timeouts.length, 1);
+        assert.equal(timeouts[0].url, pageURL("/slow.js"));
+        assert.equal(timeouts[0].errorCode, 408);
+        assert.equal(p.evaluate(function() { return typeof(slowVar); }), "undefined");
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test open result"] = function(assert, done) {
+    let p = webpage.create();
+
+    p.open(pageURL("/redirect"))
+    .then(function(result) {
+        assert.strictEqual(result.status, "success");
+        assert.equal(p.lastLoadResult, result);
+        assert.equal(result.httpStatus, 200);
+        assert.equal(result.url, pageURL("/base.html"));
+        assert.equal(result.redirects.length, 1);
+        assert.equal(result.redirects[0].url, pageURL("/redirect"));
+        assert.equal(result.redirects[0].status, 302);
+        assert.ok(result.time >= 0);
+        assert.ok(result.headers.some(function(v) v.name == "Content-Type"));
+        assert.equal(result.errorCode, null);
+
+        return p.open(pageURL("/missing.html"));
+    })
+    .then(function(result) {
+        assert.strictEqual(result.status, "success");
+        assert.equal(result.httpStatus, 404);
+        assert.equal(result.errorCode, 203);
+
+        return p.open("http://unknown-host.invalid/");
+    })
+    .then(function(result) {
+        assert.strictEqual(result.status, "fail");
+        assert.equal(result.reason, "Unable to open URL");
+        assert.equal(result.errorCode, 3);
+        assert.equal(result.errorString, "NS_ERROR_UNKNOWN_HOST");
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test open with settings"] = function(assert, done) {
+    let p = webpage.create();
+    let events = [];
+    p.onLoadFinished = function(status) {
+        events.push(status);
+    };
+
+    let D = Q.defer();
+    p.open(pageURL("/echo"), "post", "foo=bar&baz=1", function(status) {
+        assert.equal(status, "success");
+        assert.equal(p.mainResponse.body,
+            "POST\napplication/x-www-form-urlencoded\n\nfoo=bar&baz=1");
+        D.resolve();
+    });
+
+    D.promise
+    .then(function() {
+        return p.open(pageURL("/echo"), "post");
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.mainResponse.body, "POST\napplication/x-www-form-urlencoded\n\n");
+
+        return p.open(pageURL("/echo"), {
+            operation: "PUT",
+            data: {name: "caf\u00e9"},
+            headers: {
+                "Content-Type": "application/json",
+                "X-Test": "header"
+            },
+            encoding: "utf-8"
+        });
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.mainResponse.text,
+            "PUT\napplication/json\nheader\n{\"name\":\"caf\u00e9\"}");
+
+        return p.open(pageURL("/echo?a=1"), {operation: "get", data: {foo: "bar baz"}});
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.url, pageURL("/echo?a=1&foo=bar%20baz"));
+        assert.equal(p.mainResponse.body, "GET\n\n\n");
+        assert.deepEqual(events, ["success", "success", "success", "success"]);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test cachePolicy"] = function(assert, done) {
+    let p = webpage.create();
+    let cached = [];
+    p.onResourceReceived = function(response) {
+        if (response.stage == "start" && response.fromCache) {
+            cached.push(response.url);
+        }
+    };
+
+    p.settings.cachePolicy = "foo";
+    assert.throws(function() {
+        p.open(pageURL("/base.html"));
+    }, /cachePolicy should be one of/);
+
+    p.settings.cachePolicy = "normal";
+    p.open(pageURL("/base.html"))
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        cached = [];
+        return p.open(pageURL("/base.html"));
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.ok(cached.indexOf(pageURL("/js/base.js")) !== -1);
+
+        p.clearCache();
+        cached = [];
+        return p.open(pageURL("/base.html"));
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(cached.length, 0);
+
+        p.clearMemoryCache();
+        p.settings.cachePolicy = "bypass";
+        cached = [];
+        return p.open(pageURL("/base.html"));
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(cached.length, 0);
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test history"] = function(assert, done) {
+    let p = webpage.create();
+    let events = [];
+    p.onLoadStarted = function() {
+        events.push("start");
+    };
+    p.onLoadFinished = function(status) {
+        events.push(status);
+    };
+
+    p.open(pageURL("/base.html"))
+    .then(function() {
+        assert.ok(!p.canGoBack);
+        assert.ok(!p.canGoForward);
+        assert.throws(function() {
+            p.goBack();
+        }, /No history entry/);
+
+        return p.open(pageURL("/long.html"));
+    })
+    .then(function() {
+        assert.ok(p.canGoBack);
+        events = [];
+        return p.goBack();
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.url, pageURL("/base.html"));
+        assert.deepEqual(events, ["start", "success"]);
+        assert.ok(!p.canGoBack);
+        assert.ok(p.canGoForward);
+
+        return p.goForward();
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.url, pageURL("/long.html"));
+
+        p.evaluate(function() {
+            window.reloaded = true;
+        });
+        return p.reload();
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.url, pageURL("/long.html"));
+        assert.equal(p.evaluate(function() { return typeof(window.reloaded); }), "undefined");
+
+        return p.go(-1);
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.url, pageURL("/base.html"));
+
+        let loading = p.open(pageURL("/long.html"));
+        p.stop();
+        return loading;
+    })
+    .then(function(result) {
+        assert.strictEqual(result.status, "fail");
+        assert.equal(result.reason, "Load stopped");
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test history same document"] = function(assert, done) {
+    let p = webpage.create();
+    let urls = [];
+    p.onUrlChanged = function(url) {
+        urls.push(url);
+    };
+
+    p.open(pageURL("/base.html"))
+    .then(function() {
+        p.evaluate(function() {
+            window.marker = true;
+            history.pushState({}, "", "?pushed");
+        });
+        assert.equal(p.url, pageURL("/base.html?pushed"));
+        assert.ok(p.canGoBack);
+
+        urls = [];
+        return p.goBack();
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.url, pageURL("/base.html"));
+        assert.deepEqual(urls, [pageURL("/base.html")]);
+        assert.ok(p.evaluate(function() { return window.marker; }));
+
+        return p.go(1);
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.equal(p.url, pageURL("/base.html?pushed"));
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test page navigations"] = function(assert, done) {
+    let p = webpage.create();
+    let events = [];
+    let loaded = null;
+    p.onLoadStarted = function() {
+        events.push("start");
+    };
+    p.onLoadFinished = function(status) {
+        events.push(status);
+        if (loaded !== null) {
+            loaded.resolve(status);
+        }
+    };
+    let nextLoad = function(func) {
+        loaded = Q.defer();
+        events = [];
+        p.evaluate(func);
+        return loaded.promise;
+    };
+
+    p.open(pageURL("/navigation.html"))
+    .then(function() {
+        return nextLoad(function() {
+            document.getElementById("link").click();
+        });
+    })
+    .then(function(status) {
+        assert.equal(status, "success");
+        assert.deepEqual(events, ["start", "success"]);
+        assert.equal(p.url, pageURL("/lorem.txt"));
+        assert.equal(p.evaluate(function() { return document.contentType; }), "text/plain");
+
+        return p.open(pageURL("/navigation.html"));
+    })
+    .then(function() {
+        return nextLoad(function() {
+            document.getElementById("form").submit();
+        });
+    })
+    .then(function(status) {
+        assert.equal(status, "success");
+        assert.equal(p.url, pageURL("/lorem.txt"));
+
+        return nextLoad(function() {
+            location.href = "/base.html";
+        });
+    })
+    .then(function(status) {
+        assert.equal(status, "success");
+        assert.equal(p.url, pageURL("/base.html"));
+        assert.equal(p.evaluate(function() { return document.title; }), "Test page");
+
+        return p.open(pageURL("/refresh.html")).then(function(result) {
+            assert.equal(result.status, "success");
+            loaded = Q.defer();
+            return loaded.promise;
+        });
+    })
+    .then(function(status) {
+        assert.equal(status, "success");
+        assert.equal(p.url, pageURL("/navigation.html"));
+        assert.equal(p.evaluate(function() { return document.title; }), "Navigation");
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
+exports["test waitUntil"] = function(assert, done) {
+    let p = webpage.create();
+
+    assert.throws(function() {
+        p.open(pageURL("/idle.html"), {waitUntil: "foo"});
+    }, /waitUntil should be/);
+
+    p.open(pageURL("/idle.html"), {waitUntil: "domcontentloaded"})
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        return p.waitForLoadState("load");
+    })
+    .then(function(reached) {
+        assert.ok(reached);
+
+        // Request starting after load + loadWait
+        return p.open(pageURL("/idle.html"), {waitUntil: "networkidle", idleTime: 1000});
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.ok(p.evaluate(function() { return window.xhrDone; }));
+        assert.ok(p.getHAR().log.entries.some(function(v) v.request.url == pageURL("/delayed")));
+
+        return p.open(pageURL("/idle.html"), {
+            waitUntil: function() {
+                return window.ready === true;
+            }
+        });
+    })
+    .then(function(result) {
+        assert.equal(result.status, "success");
+        assert.ok(p.evaluate(function() { return window.ready; }));
+
+        return p.waitForLoadState(function() {
+            return false;
+        }, {timeout: 200});
+    })
+    .then(function() {
+        assert.fail("predicate should time out");
+    }, function(e) {
+        assert.equal(e.message, "Load timeout");
+    })
+    .then(null, console.exception)
+    .then(function() {
+        p.close().then(done);
+    });
+};
+
 
 require("test").run(exports);
@@ -3,17 +3,22 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 "use strict";
 
-const {Cc, Ci, Cu} = require("chrome");
+const {Cc, Ci, Cu, Cr} = require("chrome");
 const base64 = require("sdk/base64");
 const {mix} = require("sdk/core/heritage");
+const Q = require("sdk/core/promise");
 const {URL} = require("sdk/url");
 
 const {validateOptions} = require("sdk/deprecated/api-utils");
 
+const {XPCOMUtils} = Cu.import("resource://gre/modules/XPCOMUtils.jsm", {});
+
 const AppShellService = Cc["@mozilla.org/appshell/appShellService;1"]
                         .getService(Ci.nsIAppShellService);
 const ioService = Cc["@mozilla.org/network/io-service;1"]
                         .getService(Ci.nsIIOService);
+const PrintSettingsService = Cc["@mozilla.org/gfx/printsettings-service;1"]
+                        .getService(Ci.nsIPrintSettingsService);
 const STS = Cc["@mozilla.org/stsservice;1"]
                         .getService(Ci.nsIStrictTransportSecurityService);
 const wm = Cc["@mozilla.org/appshell/window-mediator;1"]
@@ -24,24 +29,15 @@ const COLOR = "rgb(255,255,255)";
 
 
 const getScreenshotCanvas = function(window, clip, ratio) {
-    let scrollbarWidth = 0;
-    scrollbarWidth = window.innerWidth - window.document.body.clientWidth;
-
-    if (clip) {
-        window.resizeTo(clip.width + scrollbarWidth, clip.height);
-    }
-    if (!ratio || (ratio && (ratio <= 0 || ratio > 1))) {
+    if (!ratio || ratio <= 0) {
         ratio = 1;
     }
 
-    let top = clip && clip.top || 0;
-    let left = clip && clip.left || 0;
-    let width = clip && clip.width;
-    let height = clip && clip.height || window.document.body.scrollHeight;
-
-    if (width === null) {
-        width = window.document.body.clientWidth;
-    }
+    // Default is the viewport at its scroll position
+    let top = clip ? clip.top : window.scrollY;
+    let left = clip ? clip.left : window.scrollX;
+    let width = clip && clip.width || window.innerWidth;
+    let height = clip && clip.height || window.innerHeight;
 
     let canvas = AppShellService.hiddenDOMWindow.document.createElementNS(NS, "canvas");
     canvas.mozOpaque = true;
@@ -61,6 +57,276 @@ const getScreenshotCanvas = function(window, clip, ratio) {
 exports.getScreenshotCanvas = getScreenshotCanvas;
 
 
+// Paper formats in millimeters
+const PAPER_FORMATS = {
+    "a3": [297, 420],
+    "a4": [210, 297],
+    "a5": [148, 210],
+    "legal": [215.9, 355.6],
+    "letter": [215.9, 279.4],
+    "tabloid": [279.4, 431.8]
+};
+
+// Units to millimeters (px are at 72dpi, like PhantomJS)
+const PAPER_UNITS = {
+    "mm": 1,
+    "cm": 10,
+    "in": 25.4,
+    "px": 25.4 / 72
+};
+
+const parseLength = function(value) {
+    if (typeof(value) === "number") {
+        return value * PAPER_UNITS.px;
+    }
+    let m = /^\s*([0-9]+(?:\.[0-9]+)?)\s*(mm|cm|in|px)?\s*$/.exec(value || "");
+    if (m === null) {
+        throw new Error("Invalid paper length \"" + value + "\"");
+    }
+    return parseFloat(m[1]) * PAPER_UNITS[m[2] || "px"];
+};
+
+const parsePaperSize = function(paperSize) {
+    // Returns paper size in millimeters, PhantomJS style definition.
+    paperSize = paperSize || {};
+    let result = {
+        width: null,
+        height: null,
+        orientation: "portrait",
+        margin: {top: 0, right: 0, bottom: 0, left: 0},
+        header: null,
+        footer: null
+    };
+
+    if (paperSize.width !== undefined || paperSize.height !== undefined) {
+        result.width = parseLength(paperSize.width);
+        result.height = parseLength(paperSize.height);
+    }
+    else {
+        let format = (paperSize.format || "A4").toString().toLowerCase();
+        if (!(format in PAPER_FORMATS)) {
+            throw new Error("Unknown paper format \"" + paperSize.format + "\"");
+        }
+        [result.width, result.height] = PAPER_FORMATS[format];
+
+        if (paperSize.orientation) {
+            if (["portrait", "landscape"].indexOf(paperSize.orientation) === -1) {
+                throw new Error("orientation should be portrait or landscape");
+            }
+            result.orientation = paperSize.orientation;
+        }
+    }
+
+    let margin = paperSize.margin || 0;
+    if (typeof(margin) === "object") {
+        for (let k in result.margin) {
+            result.margin[k] = parseLength(margin[k] || 0);
+        }
+    }
+    else {
+        margin = parseLength(margin);
+        for (let k in result.margin) {
+            result.margin[k] = margin;
+        }
+    }
+
+    ["header", "footer"].forEach(function(k) {
+        if (!paperSize[k]) {
+            return;
+        }
+        if (typeof(paperSize[k].contents) !== "function" && typeof(paperSize[k].contents) !== "string") {
+            throw new Error(k + ".contents should be a function or a string");
+        }
+        result[k] = {
+            height: parseLength(paperSize[k].height || 0),
+            contents: paperSize[k].contents
+        };
+    });
+
+    return result;
+};
+exports.parsePaperSize = parsePaperSize;
+
+
+const headerFooterString = function(contents) {
+    // Gecko only prints plain text headers and footers, with "&P" (page
+    // number) and "&PT" (page number of total) substitution codes. A
+    // callback is called once, with markers standing for pageNum and
+    // numPages that are converted to these codes.
+    if (typeof(contents) === "function") {
+        contents = contents("\u0001", "\u0002");
+    }
+    contents = (contents || "").toString()
+        .replace(/<[^>]*>/g, "")
+        .replace(/&/g, "&&")
+        .replace(/\u0001[^\u0001\u0002]*\u0002/g, "&PT")
+        .replace(/\u0001/g, "&P")
+        .replace(/\u0002/g, "");
+
+    return contents.trim();
+};
+
+
+const printToPDF = function(window, filename, paperSize) {
+    let paper = parsePaperSize(paperSize);
+    let deferred = Q.defer();
+
+    let settings = PrintSettingsService.newPrintSettings;
+    settings.printSilent = true;
+    settings.showPrintProgress = false;
+    settings.printBGColors = true;
+    settings.printBGImages = true;
+    settings.printToFile = true;
+    settings.toFileName = filename;
+    settings.outputFormat = Ci.nsIPrintSettings.kOutputFormatPDF;
+
+    settings.paperSizeUnit = Ci.nsIPrintSettings.kPaperSizeMillimeters;
+    settings.paperWidth = paper.width;
+    settings.paperHeight = paper.height;
+    settings.orientation = paper.orientation == "landscape" ?
+        Ci.nsIPrintSettings.kLandscapeOrientation :
+        Ci.nsIPrintSettings.kPortraitOrientation;
+
+    // Margins are in inches, header and footer take place in margins
+    settings.unwriteableMarginTop = 0;
+    settings.unwriteableMarginRight = 0;
+    settings.unwriteableMarginBottom = 0;
+    settings.unwriteableMarginLeft = 0;
+    settings.marginTop = (paper.margin.top + (paper.header && paper.header.height || 0)) / 25.4;
+    settings.marginRight = paper.margin.right / 25.4;
+    settings.marginBottom = (paper.margin.bottom + (paper.footer && paper.footer.height || 0)) / 25.4;
+    settings.marginLeft = paper.margin.left / 25.4;
+    settings.edgeTop = paper.margin.top / 25.4;
+    settings.edgeBottom = paper.margin.bottom / 25.4;
+
+    ["Left", "Center", "Right"].forEach(function(k) {
+        settings["headerStr" + k] = "";
+        settings["footerStr" + k] = "";
+    });
+    if (paper.header) {
+        settings.headerStrCenter = headerFooterString(paper.header.contents);
+    }
+    if (paper.footer) {
+        settings.footerStrCenter = headerFooterString(paper.footer.contents);
+    }
+
+    let listener = {
+        QueryInterface: XPCOMUtils.generateQI([
+            Ci.nsIWebProgressListener, Ci.nsISupportsWeakReference
+        ]),
+        onStateChange: function(webProgress, request, flags, status) {
+            if (flags & Ci.nsIWebProgressListener.STATE_STOP) {
+                if (status === Cr.NS_OK) {
+                    deferred.resolve(filename);
+                }
+                else {
+                    deferred.reject(new Error("Unable to print \"" + filename + "\""));
+                }
+            }
+        },
+        onProgressChange: function() {},
+        onLocationChange: function() {},
+        onStatusChange: function() {},
+        onSecurityChange: function() {}
+    };
+
+    try {
+        window.QueryInterface(Ci.nsIInterfaceRequestor)
+            .getInterface(Ci.nsIWebBrowserPrint)
+            .print(settings, listener);
+    } catch(e) {
+        deferred.reject(e);
+    }
+
+    return deferred.promise;
+};
+exports.printToPDF = printToPDF;
+
+
+const serializeDocument = function(doc) {
+    if (/xml/.test(doc.contentType)) {
+        let serializer = new AppShellService.hiddenDOMWindow.XMLSerializer();
+        return serializer.serializeToString(doc);
+    }
+
+    let doctype = "";
+    if (doc.doctype) {
+        let dt = doc.doctype;
+        doctype = "<!DOCTYPE " + dt.name;
+        if (dt.publicId) {
+            doctype += " PUBLIC \"" + dt.publicId + "\"";
+        }
+        if (dt.systemId) {
+            doctype += (dt.publicId ? "" : " SYSTEM") + " \"" + dt.systemId + "\"";
+        }
+        doctype += ">\n";
+    }
+    return doctype + (doc.documentElement ? doc.documentElement.outerHTML : "");
+};
+exports.serializeDocument = serializeDocument;
+
+
+const getDocumentText = function(doc) {
+    // Text as rendered, like innerText
+    let encoder = Cc["@mozilla.org/layout/documentEncoder;1?type=text/plain"]
+                    .createInstance(Ci.nsIDocumentEncoder);
+    encoder.init(doc, "text/plain",
+        Ci.nsIDocumentEncoder.OutputFormatted | Ci.nsIDocumentEncoder.OutputLFLineBreak
+    );
+    return encoder.encodeToString();
+};
+exports.getDocumentText = getDocumentText;
+
+
+const decodeBytes = function(data, charset) {
+    let converter = Cc["@mozilla.org/intl/scriptableunicodeconverter"]
+                    .createInstance(Ci.nsIScriptableUnicodeConverter);
+    try {
+        converter.charset = charset || "UTF-8";
+    } catch(e) {
+        converter.charset = "UTF-8";
+    }
+    return converter.ConvertToUnicode(data) + converter.Finish();
+};
+exports.decodeBytes = decodeBytes;
+
+
+const encodeString = function(data, charset) {
+    let converter = Cc["@mozilla.org/intl/scriptableunicodeconverter"]
+                    .createInstance(Ci.nsIScriptableUnicodeConverter);
+    converter.charset = charset || "UTF-8";
+    return converter.ConvertFromUnicode(data) + converter.Finish();
+};
+exports.encodeString = encodeString;
+
+
+const cloneData = function(data, window) {
+    // Structured clone of data, into window when given or in our scope.
+    if (data === null || typeof(data) !== "object") {
+        return data;
+    }
+    if (typeof(Cu.cloneInto) === "function") {
+        return Cu.cloneInto(data, window || {});
+    }
+    return (window && window.JSON || JSON).parse(JSON.stringify(data));
+};
+exports.cloneData = cloneData;
+
+
+const clearCache = function(memoryOnly) {
+    // Gecko caches are shared by every page
+    let cacheService = Cc["@mozilla.org/network/cache-service;1"]
+                        .getService(Ci.nsICacheService);
+    cacheService.evictEntries(memoryOnly ? Ci.nsICache.STORE_IN_MEMORY : Ci.nsICache.STORE_ANYWHERE);
+
+    try {
+        Cc["@mozilla.org/image/tools;1"].getService(Ci.imgITools)
+            .getImgCacheForDocument(null).clearCache(false);
+    } catch(e) {}
+};
+exports.clearCache = clearCache;
+
+
 const discardSTSInfo = function(request) {
     try {
         request.QueryInterface(Ci.nsIHttpChannel);
@@ -97,17 +363,106 @@ const setAuthHeaders = function(request, originURL, username, password) {
     }
 
     // Resources, test hostname and base path
-    let url = ioService.newURI(originURL, null, null);
-    if (url.host == request.URI.host &&
-        url.port == request.URI.port &&
-        url.scheme == request.URI.scheme
-    ) {
+    if (isSameOrigin(originURL, request.URI)) {
         request.setRequestHeader("Authorization", auth, false);
     }
 };
 exports.setAuthHeaders = setAuthHeaders;
 
 
+const isSameOrigin = function(originURL, uri) {
+    let url;
+    try {
+        url = ioService.newURI(originURL, null, null);
+        return (
+            url.host == uri.host &&
+            url.port == uri.port &&
+            url.scheme == uri.scheme
+        );
+    } catch(e) {
+        // No host for this URL
+        return false;
+    }
+};
+
+
+const setCustomHeaders = function(request, originURL, headers) {
+    // Header values are strings for every request or {value, origin} where
+    // origin is "page" (page origin) or a list of origins.
+    try {
+        request.QueryInterface(Ci.nsIHttpChannel);
+    } catch(e) {
+        return;
+    }
+
+    for (let name in headers) {
+        let header = headers[name];
+        if (typeof(header) !== "object") {
+            request.setRequestHeader(name, header.toString(), false);
+            continue;
+        }
+
+        let allowed;
+        if (header.origin === "page") {
+            // No referer = original page
+            allowed = request.referrer === null || isSameOrigin(originURL, request.URI);
+        }
+        else {
+            allowed = [].concat(header.origin || []).some(function(origin) {
+                return isSameOrigin(origin, request.URI);
+            });
+        }
+
+        if (allowed) {
+            request.setRequestHeader(name, header.value.toString(), false);
+        }
+    }
+};
+exports.setCustomHeaders = setCustomHeaders;
+
+
+const setUserAgent = function(request, userAgent) {
+    try {
+        request.QueryInterface(Ci.nsIHttpChannel);
+    } catch(e) {
+        return;
+    }
+
+    if (userAgent) {
+        request.setRequestHeader("User-Agent", userAgent, false);
+    }
+};
+exports.setUserAgent = setUserAgent;
+
+
+const allowCrossOrigin = function(response) {
+    // Drops security headers and allows cross origin access to response
+    try {
+        response.QueryInterface(Ci.nsIHttpChannel);
+    } catch(e) {
+        return;
+    }
+
+    ["Content-Security-Policy", "X-Content-Security-Policy", "X-Frame-Options"].forEach(function(name) {
+        response.setResponseHeader(name, "", false);
+    });
+
+    let origin = null;
+    try {
+        origin = response.getRequestHeader("Origin");
+    } catch(e) {}
+
+    if (origin && origin !== "null") {
+        response.setResponseHeader("Access-Control-Allow-Origin", origin, false);
+        response.setResponseHeader("Access-Control-Allow-Credentials", "true", false);
+    }
+    else {
+        response.setResponseHeader("Access-Control-Allow-Origin", "*", false);
+    }
+};
+exports.allowCrossOrigin = allowCrossOrigin;
+
+
 const removeAuthPrompt = function() {
     // Ok, this one is very ugly and we should look at a better idea :)
     let winEnum = wm.getXULWindowEnumerator(null, true);
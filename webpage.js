@@ -6,36 +6,234 @@
 const base64 = require('sdk/base64');
 const {mix} = require('sdk/core/heritage');
 const Q = require('sdk/core/promise');
+const {pathFor} = require('sdk/system');
 const {getBrowserForTab} = require('sdk/tabs/utils');
-const {setTimeout} = require('sdk/timers');
+const {setTimeout, clearTimeout} = require('sdk/timers');
+const {URL} = require('sdk/url');
 const {descriptor} = require('toolkit/loader');
+const file = require('sdk/io/file');
 
 const {validateOptions} = require('sdk/deprecated/api-utils');
 const {EventEmitter} = require('sdk/deprecated/events');
 const {Trait} = require('sdk/deprecated/traits');
 
+const {HarRecorder} = require('./har');
+const {Route, matchURL} = require('./network');
+const {
+    KEYS, MODIFIERS, MOUSE_EVENTS, sendKeyEvent, sendMouseEvent
+} = require('./input');
 const {tabSandbox} = require('./sandbox');
 const tabs = require('./tabs');
 const {
     discardSTSInfo, getScreenshotCanvas, setAuthHeaders, removeAuthPrompt,
-    getCookies, setCookies, Cookie
+    getCookies, setCookies, Cookie, parsePaperSize, printToPDF,
+    serializeDocument, getDocumentText, decodeBytes, encodeString, cloneData, setUserAgent,
+    allowCrossOrigin, setCustomHeaders, clearCache
 } = require('./utils');
 
 
+// Render formats by file extension
+const RENDER_FORMATS = {
+    'bmp': 'image/bmp',
+    'ico': 'image/vnd.microsoft.icon',
+    'jpeg': 'image/jpeg',
+    'jpg': 'image/jpeg',
+    'pdf': 'application/pdf',
+    'png': 'image/png'
+};
+
+const renderOptions = function(options) {
+    // Old signature was (format, ratio)
+    if (typeof(options) === 'number') {
+        options = {ratio: options};
+    }
+    let requirements = {
+        format: {
+            map: function(val) val && val.toString().toLowerCase() || null
+        },
+        quality: {
+            is: ['number', 'null', 'undefined'],
+            ok: function(val) val === null || val === undefined || (val >= 0 && val <= 100),
+            msg: 'quality should be a number between 0 and 100'
+        },
+        ratio: {
+            is: ['number', 'null', 'undefined']
+        }
+    };
+    return validateOptions(options || {}, requirements);
+};
+
+const formData = function(data) {
+    return Object.keys(data).map(function(k) {
+        return encodeURIComponent(k) + '=' + encodeURIComponent(data[k]);
+    }).join('&');
+};
+
+const requestOptions = function(url, settings) {
+    // Tab load options from PhantomJS open() settings, with the URL to load
+    let method = (settings.operation || 'GET').toString().toUpperCase();
+    let headers = mix({}, settings.headers || {});
+    let options = {url: url, method: method};
+
+    let contentType = null;
+    for (let name in headers) {
+        if (name.toLowerCase() === 'content-type') {
+            contentType = headers[name];
+            delete headers[name];
+        }
+    }
+
+    let data = settings.data;
+
+    // GET and HEAD have no body, data goes to the query string
+    if (method === 'GET' || method === 'HEAD') {
+        if (data !== undefined && data !== null && data !== '') {
+            let query = typeof(data) === 'object' ? formData(data) : data.toString();
+            let parts = url.split('#');
+            parts[0] += (parts[0].indexOf('?') === -1 ? '?' : '&') + query;
+            options.url = parts.join('#');
+        }
+        options.headers = headers;
+        return options;
+    }
+
+    // A POST always has a body, even an empty one
+    if ((data === undefined || data === null) && method === 'POST') {
+        data = '';
+    }
+    if (data !== undefined && data !== null) {
+        if (typeof(data) === 'object') {
+            data = /json/.test(contentType) ? JSON.stringify(data) : formData(data);
+        }
+
+        data = encodeString(data.toString(), settings.encoding);
+
+        // Body needs a POST for the docShell, method is changed on request
+        options.postData = data;
+        options.postContentType = contentType || 'application/x-www-form-urlencoded';
+    }
+    options.headers = headers;
+
+    return options;
+};
+
+// Load states, in their order, and states we can wait for
+const LOAD_STATES = ['domcontentloaded', 'load'];
+const WAIT_STATES = LOAD_STATES.concat(['networkidle']);
+const NETWORK_EVENTS = ['resourceRequested', 'resourceReceived', 'resourceError', 'resourceTimeout'];
+
+const waitState = function(state) {
+    // A load state or a predicate evaluated in the page
+    if (typeof(state) !== 'function' && WAIT_STATES.indexOf(state) === -1) {
+        throw new Error('waitUntil should be a function or one of ' + WAIT_STATES.join(', '));
+    }
+    return state;
+};
+
+const formatFromFilename = function(filename) {
+    let ext = file.basename(filename).split('.');
+    ext = ext.length > 1 ? ext.pop().toLowerCase() : null;
+    return ext in RENDER_FORMATS ? ext : 'png';
+};
+
+
+const windowHandle = function(page) {
+    // What window.open returns to the page, a proxy of the child page
+    let closed = false;
+    page.once('closing', function() {
+        closed = true;
+    });
+
+    return {
+        get closed() {
+            return closed;
+        },
+        get location() {
+            return {
+                href: page._tab ? page.url : 'about:blank',
+                __exposedProps__: {href: 'r'}
+            };
+        },
+        close: function() {
+            if (!closed) {
+                page.close();
+            }
+        },
+        focus: function() {},
+        blur: function() {},
+        __exposedProps__: {closed: 'r', location: 'r', close: 'r', focus: 'r', blur: 'r'}
+    };
+};
+
+
+const blankTarget = function(evt) {
+    // Link or form of evt opening a new window, null otherwise
+    if (evt.defaultPrevented) {
+        return null;
+    }
+    let node = evt.target;
+    if (evt.type === 'click') {
+        if (evt.button !== 0) {
+            return null;
+        }
+        while (node && !((node.localName === 'a' || node.localName === 'area') && node.href)) {
+            node = node.parentNode;
+        }
+    }
+    else if (!node || node.localName !== 'form') {
+        return null;
+    }
+    return node && (node.target || '').toLowerCase() === '_blank' ? node : null;
+};
+
+const formSettings = function(form) {
+    // open() settings of a form submission, url encoded. Files are left out
+    // and multipart forms are sent url encoded too.
+    let fields = [];
+    Array.prototype.forEach.call(form.elements, function(field) {
+        let type = (field.type || '').toLowerCase();
+        if (!field.name || field.disabled ||
+            ['input', 'select', 'textarea'].indexOf(field.localName) === -1 ||
+            ['button', 'submit', 'reset', 'image', 'file'].indexOf(type) !== -1 ||
+            (['checkbox', 'radio'].indexOf(type) !== -1 && !field.checked)
+        ) {
+            return;
+        }
+        let values = [field.value];
+        if (field.localName === 'select') {
+            values = Array.prototype.filter.call(field.options, function(v) v.selected)
+                .map(function(v) v.value);
+        }
+        values.forEach(function(value) {
+            fields.push(encodeURIComponent(field.name) + '=' + encodeURIComponent(value));
+        });
+    });
+
+    let method = (form.method || 'get').toLowerCase() === 'post' ? 'post' : 'get';
+    let url = form.action || form.ownerDocument.URL;
+    if (method === 'get') {
+        // Form data replaces the action query
+        url = url.replace(/[?#].*$/, '');
+    }
+    return {url: url, settings: {operation: method, data: fields.join('&')}};
+};
+
+
 const ListenerTrait = function() {
     // PhantomJS callback we can convert to events
     const EVENTS = [
-        'callback',               // MAYBE
         'closing',
         'error',
         'initialized',
         'loadFinished',
         'loadStarted',
-        'navigationRequested',    // TODO
-        'pageCreated',            // TODO
+        'navigationRequested',
+        'pageCreated',
+        'resourceError',
         'resourceRequested',
         'resourceReceived',
-        'urlChanged'              // TODO
+        'resourceTimeout',
+        'urlChanged'
     ];
 
     let trait = {};
@@ -85,6 +283,9 @@ const ListenerTrait = function() {
         redir('ready', 'loadContent');
         redir('resourceRequested');
         redir('resourceReceived');
+        redir('resourceError');
+        redir('navigationRequested');
+        redir('urlChanged');
 
         // loadFinished
         this.trait.on('fullLoad', function() {
@@ -109,6 +310,7 @@ const WindowEventTrait = function() {
     // PhantomJS window events callbacks
     const CALLBACKS = {
         onAlert: function(msg) {},
+        onCallback: function(data) {},
         onConfirm: function(msg) {},
         onConsoleMessage: function(msg, lineNum, sourceId) {},
         onPrompt: function(msg, defaultVal) {}
@@ -125,6 +327,17 @@ const WindowEventTrait = function() {
         }.bind(this);
     };
 
+    let historyGo = function(delta) {
+        // Deferred, page code shouldn't wait for the navigation start
+        return function() {
+            setTimeout(function() {
+                if (this._state !== 'transfer' && this.trait.canGo(delta)) {
+                    this.go(delta);
+                }
+            }.bind(this), 0);
+        }.bind(this);
+    };
+
     for (let i in CALLBACKS) {
         trait[i] = null;
     }
@@ -142,15 +355,32 @@ const WindowEventTrait = function() {
             },
             dump: this._onConsoleMessage.bind(this),
 
+            // Page to add-on bridge
+            callPhantom: function(data) {
+                data = cloneData(data);
+                this._emit('callback', data);
+                return cloneData(this._onCallback(data), this._tab.linkedBrowser.contentWindow);
+            }.bind(this),
+
+            // Popups become new pages, unless ownsPages is false (then
+            // blocked like by a popup blocker)
+            open: function(url) {
+                let page = this._createPage(url);
+                return page === null ? null : windowHandle(page);
+            }.bind(this),
+            showModalDialog: function(url) {
+                this._createPage(url);
+            }.bind(this),
+
+            // Session history
+            back: historyGo.call(this, -1),
+            forward: historyGo.call(this, 1),
+
             // Other events we block
-            back: function() {},
             close: function() {},
-            forward: function() {},
             home: function() {},
-            open: function() {},
             openDialog: function() {},
-            print: function() {},
-            showModalDialog: function() {}
+            print: function() {}
         };
     };
 
@@ -160,6 +390,27 @@ const WindowEventTrait = function() {
             callbackMethod.bind(this)(i, CALLBACKS[i]);
         }
 
+        // Links and forms with a _blank target become new pages, like popups
+        let onBlankTarget = function(evt) {
+            let node = blankTarget(evt);
+            if (node === null) {
+                return;
+            }
+            evt.preventDefault();
+            if (node.localName === 'form') {
+                let submit = formSettings(node);
+                this._createPage(submit.url, submit.settings);
+            }
+            else {
+                this._createPage(node.href);
+            }
+        }.bind(this);
+        this.trait.on('open', function(tab) {
+            let browser = getBrowserForTab(tab);
+            browser.addEventListener('click', onBlankTarget, false);
+            browser.addEventListener('submit', onBlankTarget, false);
+        });
+
         // Window object modifications
         this.trait.on('start', function() {
             Object.defineProperties(
@@ -236,56 +487,227 @@ const webPage = EventEmitter.compose(ListenerTrait(), WindowEventTrait(),
             //this._sandbox.sandbox = null;
             delete this._sandbox.sandbox;
         }
-        this._plainText = '';
+        this._mainResponse = null;
+        this._mainRedirectURL = null;
+        this._mainError = null;
+        this._redirects = [];
         this._sandbox = null;
+        this._inflight = {};
+        this._loadState = null;
+
+        for (let id in this._resourceTimers) {
+            clearTimeout(this._resourceTimers[id]);
+        }
+        this._resourceTimers = {};
     },
 
     constructor: function(options) {
         this.trait = tabs.Tab(options);
+        this._options = options;
+        this._pages = [];
+        this._routes = [];
+        this._expectMainResponse = true;
+        this.ownsPages = true;
         this._state = 'closed';
+        this._url = null;
+        this._lastLoadResult = null;
         this._sandbox = null;
         this._sandboxGlobals = null;
 
         this._clipRect = null;
+        this._scrollPosition = null;
         this._cookies = [];
+        this._customHeaders = {};
+        this._paperSize = null;
+        this._resourceTimers = {};
+        this._inflight = {};
+        this._loadState = null;
         this._settings = {
+            cachePolicy: 'bypass',
             javascriptEnabled: true,
             loadImages: true,
             localToRemoteUrlAccessEnabled: false,
             userAgent: null,
             userName: null,
             password: null,
-            XSSAuditingEnabled: false,
+            resourceTimeout: null,
             webSecurityEnabled: true
         };
 
+        // Gecko has no XSS auditor, fail when it's asked for
+        Object.defineProperty(this._settings, 'XSSAuditingEnabled', {
+            enumerable: true,
+            get: function() false,
+            set: function(val) {
+                if (val) {
+                    throw new Error('XSSAuditingEnabled is not supported by Gecko');
+                }
+            }
+        });
+
         this._cleanUp();
 
+        // Last URL we know, before any callback
+        this.on('urlChanged', function(url) {
+            this._url = url;
+        }.bind(this));
+
         // Create event listeners
         this._registerListeners();
 
         // Create window events
         this._registerWindowEvents();
 
-        // Adding event to capture page content
+        // Adding event to capture main document response, following redirects
+        this.on('resourceReceived', function(response) {
+            let main = this._mainResponse;
+            if (response.stage === 'start' && (
+                (this._expectMainResponse && response.id === 0) ||
+                (this._mainRedirectURL !== null && response.url === this._mainRedirectURL)
+            )) {
+                this._expectMainResponse = false;
+                this._mainRedirectURL = null;
+                if (response.redirectURL) {
+                    this._redirects.push({
+                        url: response.url,
+                        status: response.status,
+                        redirectURL: response.redirectURL
+                    });
+                    this._mainRedirectURL = URL(response.redirectURL, response.url).toString();
+                }
+
+                let m = /charset=["']?([^;"'\s]+)/i.exec(response.contentType || '');
+                this._mainResponse = {
+                    id: response.id,
+                    url: response.url,
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers,
+                    contentType: response.contentType,
+                    charset: m && m[1] || null,
+                    mocked: !!response.mocked,
+                    body: '',
+                    done: false
+                };
+            }
+            else if (main && response.id === main.id && !main.done) {
+                if (response.stage === 'data') {
+                    main.body += response.data;
+                }
+                else if (response.stage === 'end') {
+                    main.done = true;
+                }
+            }
+        }.bind(this));
+
+        // Main document errors
+        this.on('resourceError', function(error) {
+            let main = this._mainResponse;
+            if ((main === null && error.id === 0) ||
+                (main !== null && error.id === main.id) ||
+                (this._mainRedirectURL !== null && error.url === this._mainRedirectURL)
+            ) {
+                this._mainError = error;
+            }
+        }.bind(this));
+
+        // Loads started by the page itself get the same state and events
+        this.trait.on('init', function() {
+            if (this._state !== 'transfer') {
+                this._navigate(function() {
+                    this._expectMainResponse = true;
+                });
+            }
+        }.bind(this));
+
+        // HAR recording of each load
+        this._har = HarRecorder(this.trait.options.captureTypes);
+        this.trait.on('init', this._har.reset.bind(this._har));
+        this.trait.on('ready', this._har.contentLoaded.bind(this._har));
+        this.trait.on('load', this._har.loaded.bind(this._har));
+        this.on('resourceRequested', this._har.request.bind(this._har));
+        this.on('resourceReceived', this._har.response.bind(this._har));
+        this.on('resourceError', this._har.error.bind(this._har));
+        this.on('resourceTimeout', this._har.error.bind(this._har));
+
+        // Per request timeout
+        this.on('resourceRequested', this._startResourceTimer.bind(this));
         this.on('resourceReceived', function(response) {
-            if (response.id === 0 && response.stage === 'data') {
-                this._plainText += response.data;
+            if (response.stage === 'end') {
+                this._stopResourceTimer(response.id);
             }
         }.bind(this));
+        this.on('resourceError', function(error) {
+            this._stopResourceTimer(error.id);
+        }.bind(this));
+
+        // Load state and in-flight requests, for waitForLoadState
+        this.trait.on('ready', function() {
+            this._loadState = 'domcontentloaded';
+        }.bind(this));
+        this.trait.on('load', function() {
+            this._loadState = 'load';
+        }.bind(this));
+        this.on('resourceRequested', function(request) {
+            this._inflight[request.id] = true;
+        }.bind(this));
+        this.on('resourceReceived', function(response) {
+            if (response.stage === 'end') {
+                delete this._inflight[response.id];
+            }
+        }.bind(this));
+        ['resourceError', 'resourceTimeout'].forEach(function(name) {
+            this.on(name, function(error) {
+                delete this._inflight[error.id];
+            }.bind(this));
+        }, this);
+
+        // Routes for sub resources
+        this.trait.on('resourceRequested', function(request, networkRequest) {
+            if (!networkRequest.channel || networkRequest.isDocument || networkRequest.aborted) {
+                return;
+            }
+            try {
+                let response = this._routeResponse(request, false);
+                if (response !== null) {
+                    networkRequest.fulfill(response);
+                }
+            }
+            catch(e) {
+                networkRequest.abort();
+                console.exception(e);
+            }
+        }.bind(this));
+
+        // Page settings, before each load
+        this.trait.on('init', this._applySettings.bind(this));
 
         this.trait.on('_request', function(request) {
+            // Set user agent
+            setUserAgent(request, this.settings.userAgent);
+
             // Set authorization
             setAuthHeaders(request, this.url, this.settings.userName, this.settings.password);
 
             // Set cookies
             setCookies(request, this._cookies);
+
+            // Custom headers
+            setCustomHeaders(request, this.url, this._customHeaders);
         }.bind(this));
 
         this.trait.on('_response', function(response) {
             // Remove STS information on each response for tab
             discardSTSInfo(response);
 
+            // Cross origin access
+            if (!this.settings.webSecurityEnabled || (
+                this.settings.localToRemoteUrlAccessEnabled &&
+                /^file:/.test(this.url)
+            )) {
+                allowCrossOrigin(response);
+            }
+
             // Add cookies to internal jar
             getCookies(response).forEach(function(cookie) {
                 this.addCookie(cookie);
@@ -298,6 +720,42 @@ const webPage = EventEmitter.compose(ListenerTrait(), WindowEventTrait(),
         }.bind(this));
     },
 
+    _startResourceTimer: function(request, networkRequest) {
+        let timeout = this.settings.resourceTimeout;
+        if (!(timeout > 0) || !networkRequest.channel || networkRequest.aborted) {
+            return;
+        }
+
+        this._resourceTimers[request.id] = setTimeout(function() {
+            delete this._resourceTimers[request.id];
+            networkRequest.abort();
+            this._emit('resourceTimeout', {
+                id: request.id,
+                url: request.url,
+                time: new Date(),
+                errorCode: 408,
+                errorString: 'Network timeout on resource.'
+            });
+        }.bind(this), timeout);
+    },
+
+    _stopResourceTimer: function(id) {
+        if (id in this._resourceTimers) {
+            clearTimeout(this._resourceTimers[id]);
+            delete this._resourceTimers[id];
+        }
+    },
+
+    _applySettings: function() {
+        // docShell is ours, settings only apply to this page
+        let docShell = this.browser.docShell;
+        docShell.allowImages = !!this.settings.loadImages;
+        docShell.allowJavascript = !!this.settings.javascriptEnabled;
+        if ('customUserAgent' in docShell) {
+            docShell.customUserAgent = this.settings.userAgent || '';
+        }
+    },
+
     foreground: function() {
         this._assertTab();
         let deferred = Q.defer();
@@ -343,6 +801,32 @@ const webPage = EventEmitter.compose(ListenerTrait(), WindowEventTrait(),
         }
     },
 
+    get customHeaders() {
+        return this._customHeaders;
+    },
+    set customHeaders(value) {
+        value = value || {};
+        if (typeof(value) !== 'object') {
+            throw new Error('customHeaders should be an object');
+        }
+
+        let isString = function(val) typeof(val) === 'string';
+        for (let name in value) {
+            let header = value[name];
+            if (isString(header)) {
+                continue;
+            }
+            let origin = header && header.origin;
+            if (typeof(header) !== 'object' || header === null || !isString(header.value) ||
+                !(isString(origin) || (Array.isArray(origin) && origin.every(isString)))
+            ) {
+                throw new Error('Header "' + name + '" should be a string or a ' +
+                    '{value, origin} object, origin being "page", an origin or a list of origins');
+            }
+        }
+        this._customHeaders = value;
+    },
+
     get clipRect() {
         return this._clipRect;
     },
@@ -377,8 +861,219 @@ const webPage = EventEmitter.compose(ListenerTrait(), WindowEventTrait(),
         }
     },
 
+    get navigationLocked() {
+        return this.trait.navigationLocked;
+    },
+    set navigationLocked(value) {
+        this.trait.navigationLocked = !!value;
+    },
+
+    get viewportSize() {
+        let size = this.trait.viewportSize;
+        return size && {width: size.width, height: size.height};
+    },
+    set viewportSize(value) {
+        let requirements = {
+            width: {
+                is: ['number'],
+                ok: function(val) val > 0,
+                msg: 'width should be a positive integer'
+            },
+            height: {
+                is: ['number'],
+                ok: function(val) val > 0,
+                msg: 'height should be a positive integer'
+            }
+        };
+        if (typeof(value) === 'object' && value !== null) {
+            this.trait.viewportSize = validateOptions(value, requirements);
+        }
+        else {
+            this.trait.viewportSize = null;
+        }
+    },
+
+    get zoomFactor() {
+        return this.trait.zoomFactor;
+    },
+    set zoomFactor(value) {
+        if (typeof(value) !== 'number' || value <= 0) {
+            throw new Error('zoomFactor should be a positive number');
+        }
+        this.trait.zoomFactor = value;
+    },
+
+    get scrollPosition() {
+        if (!this._tab) {
+            return this._scrollPosition || {top: 0, left: 0};
+        }
+        let window = getBrowserForTab(this._tab).contentWindow;
+        return {top: window.scrollY, left: window.scrollX};
+    },
+    set scrollPosition(value) {
+        let requirements = {
+            top: {
+                map: function(val) val || 0,
+                is: ['number'],
+                ok: function(val) val >= 0,
+                msg: 'top should be a positive integer'
+            },
+            left: {
+                map: function(val) val || 0,
+                is: ['number'],
+                ok: function(val) val >= 0,
+                msg: 'left should be a positive integer'
+            }
+        };
+        this._scrollPosition = validateOptions(value || {}, requirements);
+        this._applyScrollPosition();
+    },
+
+    _applyScrollPosition: function() {
+        if (this._tab && this._scrollPosition) {
+            let window = getBrowserForTab(this._tab).contentWindow;
+            window.scrollTo(this._scrollPosition.left, this._scrollPosition.top);
+            this._scrollPosition = null;
+        }
+    },
+
+    _captureRect: function() {
+        // Without clipRect, capture area is the viewport at its current
+        // scroll position. Result is in CSS pixels, clipRect being in zoomed
+        // pixels.
+        let rect = this.clipRect;
+        if (!rect) {
+            let window = getBrowserForTab(this._tab).contentWindow;
+            let doc = window.document;
+            let root = doc.compatMode == 'BackCompat' && doc.body || doc.documentElement;
+            return {
+                top: window.scrollY,
+                left: window.scrollX,
+                width: root.clientWidth || window.innerWidth,
+                height: root.clientHeight || window.innerHeight
+            };
+        }
+
+        let zoom = this.zoomFactor;
+        return {
+            top: rect.top / zoom,
+            left: rect.left / zoom,
+            width: rect.width / zoom,
+            height: rect.height / zoom
+        };
+    },
+
+    get paperSize() {
+        return this._paperSize;
+    },
+    set paperSize(value) {
+        if (typeof(value) === 'object' && value !== null) {
+            // Fail early on invalid definitions
+            parsePaperSize(value);
+            this._paperSize = value;
+        }
+        else {
+            this._paperSize = null;
+        }
+    },
+
+    get pages() {
+        return this._pages.slice();
+    },
+
+    _createPage: function(url, settings) {
+        // Child page for window.open and _blank targets, with our settings,
+        // cookies and globals. settings are given to its open().
+        if (!this.ownsPages) {
+            return null;
+        }
+
+        let page = webPage(this._options);
+        page.settings = this.settings;
+        this.cookies.forEach(function(cookie) {
+            page.addCookie(cookie);
+        });
+        page.globals = this.globals;
+        page.viewportSize = this.viewportSize;
+        page.zoomFactor = this.zoomFactor;
+
+        this._pages.push(page);
+        page.once('closing', function() {
+            this._pages = this._pages.filter(function(v) {
+                return v !== page;
+            });
+        }.bind(this));
+
+        this._emit('pageCreated', page);
+
+        url = url ? URL(url.toString(), this.url).toString() : 'about:blank';
+        setTimeout(function() {
+            page.open(url, settings || {});
+        }, 0);
+
+        return page;
+    },
+
+    getHAR: function() {
+        let title = '';
+        if (this._tab) {
+            title = this._tab.linkedBrowser.contentWindow.document.title;
+        }
+        return this._har.toHAR({
+            title: title,
+            url: this._tab ? this.url : null
+        });
+    },
+
+    clearMemoryCache: function() {
+        clearCache(true);
+    },
+
+    clearCache: function() {
+        clearCache(false);
+    },
+
+    route: function(pattern, handler) {
+        // Sub resources routes only serve a body and a content type, their
+        // route.fulfill() throws with another status or headers.
+        if (typeof(handler) !== 'function') {
+            throw new Error('Route handler should be a function');
+        }
+        this._routes.push({pattern: pattern, handler: handler});
+    },
+
+    unroute: function(pattern) {
+        this._routes = this._routes.filter(function(v) {
+            return pattern !== undefined && v.pattern !== pattern;
+        });
+    },
+
+    _routeResponse: function(request, isDocument) {
+        // First route matching request and fulfilling it, null otherwise.
+        for (let i = 0; i < this._routes.length; i++) {
+            if (!matchURL(this._routes[i].pattern, request.url)) {
+                continue;
+            }
+            let route = Route(isDocument);
+            this._routes[i].handler.call(this, request, route);
+            if (route.response !== null) {
+                return route.response;
+            }
+            if (route.continued) {
+                break;
+            }
+        }
+        return null;
+    },
+
     close: function() {
         let deferred = Q.defer();
+
+        // Owned pages go with us
+        let children = this._pages.map(function(page) {
+            return page.close();
+        });
+
         if (this._tab) {
             this.evaluate(function() {
                 window.onbeforeunload = null;
@@ -399,8 +1094,11 @@ const webPage = EventEmitter.compose(ListenerTrait(), WindowEventTrait(),
         }
         this._cleanUp();
         this._state = 'closed';
+        this._url = null;
 
-        return deferred.promise;
+        return Q.promised(Array).apply(null, children).then(function() {
+            return deferred.promise;
+        });
     },
 
     evaluate: function(func) {
@@ -433,38 +1131,289 @@ const webPage = EventEmitter.compose(ListenerTrait(), WindowEventTrait(),
         }
     },
 
-    open: function(url, callback) {
+    open: function(url) {
+        // open(url, [operation, data | settings], [callback])
+        let args = Array.prototype.slice.call(arguments, 1);
+        let callback = typeof(args[args.length - 1]) === 'function' ? args.pop() : null;
+
+        let settings = {};
+        if (typeof(args[0]) === 'object' && args[0] !== null) {
+            settings = args[0];
+        }
+        else if (typeof(args[0]) === 'string') {
+            settings = {operation: args[0], data: args[1]};
+        }
+
+        let waitUntil = null;
+        if (settings.waitUntil !== undefined && settings.waitUntil !== null) {
+            waitUntil = {state: waitState(settings.waitUntil), idleTime: settings.idleTime};
+        }
+
+        let options = requestOptions(url, settings);
+        return this._load(options.url, options, callback, waitUntil);
+    },
+
+    setContent: function(content, url, callback) {
+        return this._load(url || 'about:blank', {content: content.toString()}, callback);
+    },
+
+    _loadResult: function(status, reason, startTime) {
+        // Result of a load, what open() and navigations resolve with
+        let main = this._mainResponse;
+        let error = this._mainError;
+        return {
+            status: status,
+            httpStatus: main && main.status || null,
+            statusText: main && main.statusText || null,
+            headers: main && main.headers || [],
+            url: this._tab ? this.url : null,
+            redirects: this._redirects.slice(),
+            time: new Date() - startTime,
+            reason: reason || (error && error.errorString) || null,
+            errorCode: error && error.errorCode || (/timeout/i.test(reason) ? 408 : null),
+            errorString: error && error.errorString || null
+        };
+    },
+
+    get lastLoadResult() {
+        return this._lastLoadResult;
+    },
+
+    get canGoBack() {
+        return this.trait.canGo(-1);
+    },
+    get canGoForward() {
+        return this.trait.canGo(1);
+    },
+
+    goBack: function(callback) {
+        return this.go(-1, callback);
+    },
+
+    goForward: function(callback) {
+        return this.go(1, callback);
+    },
+
+    go: function(delta, callback) {
+        this._assertTab();
+        delta = parseInt(delta) || 0;
+        if (delta === 0) {
+            return this.reload(callback);
+        }
+        if (!this.trait.canGo(delta)) {
+            throw new Error('No history entry at ' + delta);
+        }
+
+        return this._navigate(function() {
+            this._expectMainResponse = true;
+            this.trait.go(delta);
+        }, callback);
+    },
+
+    reload: function(callback) {
+        this._assertTab();
+        return this._navigate(function() {
+            this._expectMainResponse = true;
+            this.trait.reload({cachePolicy: this.settings.cachePolicy});
+        }, callback);
+    },
+
+    stop: function() {
+        if (this._tab) {
+            this.trait.stop();
+        }
+    },
+
+    waitForLoadState: function(state, options) {
+        // Promise resolved once the page reached state, 'load' by default.
+        // 'networkidle' waits for options.idleTime ms without any request in
+        // flight after load, a function is evaluated in the page every
+        // options.pollInterval ms after load until it returns true.
+        // Rejected on load failure or after options.timeout ms.
+        this._assertTab();
+        state = waitState(state || 'load');
+        let loadTimeout = this.trait.options.loadTimeout;
+        options = validateOptions(options || {}, {
+            idleTime: {
+                map: function(val) typeof(val) === 'number' ? parseInt(val) : 500,
+                ok: function(val) val >= 0
+            },
+            pollInterval: {
+                map: function(val) typeof(val) === 'number' ? parseInt(val) : 100,
+                ok: function(val) val > 0
+            },
+            timeout: {
+                map: function(val) typeof(val) === 'number' ? parseInt(val) : loadTimeout,
+                ok: function(val) val >= 0
+            }
+        });
+
+        // Network idle and predicates wait for load
+        let minState = state === 'domcontentloaded' ? state : 'load';
+        let deferred = Q.defer();
+        let timer = null;
+        let finished = false;
+
+        let check = function() {
+            if (LOAD_STATES.indexOf(this._loadState) < LOAD_STATES.indexOf(minState)) {
+                return;
+            }
+            clearTimeout(timer);
+            timer = null;
+
+            if (state === 'networkidle') {
+                if (Object.keys(this._inflight).length === 0) {
+                    timer = setTimeout(finish, options.idleTime);
+                }
+            }
+            else if (typeof(state) === 'function') {
+                if (this.evaluate(state)) {
+                    finish();
+                }
+                else {
+                    timer = setTimeout(checkListener, options.pollInterval);
+                }
+            }
+            else {
+                finish();
+            }
+        }.bind(this);
+
+        let checkListener = function() {
+            try {
+                check();
+            }
+            catch(e) {
+                finish(e);
+            }
+        };
+        let onNetwork = function() {
+            if (state === 'networkidle') {
+                checkListener();
+            }
+        };
+        let onFail = function(reason) {
+            finish(new Error(reason));
+        };
+        let timeout = setTimeout(function() {
+            finish(new Error('Load timeout'));
+        }, options.timeout);
+
+        let finish = function(error) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timer);
+            clearTimeout(timeout);
+            this.trait.off('ready', checkListener);
+            this.trait.off('load', checkListener);
+            this.trait.off('loadFail', onFail);
+            NETWORK_EVENTS.forEach(function(name) {
+                this.removeListener(name, onNetwork);
+            }, this);
+            this.trait.releaseLoad();
+
+            if (error) {
+                deferred.reject(error);
+            }
+            else {
+                deferred.resolve(true);
+            }
+        }.bind(this);
+
+        this.trait.holdLoad();
+        this.trait.on('ready', checkListener);
+        this.trait.on('load', checkListener);
+        this.trait.on('loadFail', onFail);
+        NETWORK_EVENTS.forEach(function(name) {
+            this.on(name, onNetwork);
+        }, this);
+        checkListener();
+
+        return deferred.promise;
+    },
+
+    _load: function(url, loadOptions, callback, waitUntil) {
+        return this._navigate(function() {
+            // Main document from a route
+            if (typeof(loadOptions.content) !== 'string') {
+                let response = this._routeResponse({method: loadOptions.method || 'GET', url: url, headers: []}, true);
+                if (response !== null) {
+                    loadOptions = mix(loadOptions, {
+                        content: response.body,
+                        contentType: response.contentType.split(';')[0],
+                        response: response
+                    });
+                }
+            }
+            this._expectMainResponse = typeof(loadOptions.content) !== 'string' || !!loadOptions.response;
+
+            this.trait.load(url, mix(loadOptions, {cachePolicy: this.settings.cachePolicy}));
+        }, callback, waitUntil);
+    },
+
+    _navigate: function(navigate, callback, waitUntil) {
+        // Starts a navigation with navigate(), promise of its load result.
+        // Callbacks get the status string first, PhantomJS style.
+        // Load is complete on fullLoad, or when waitUntil.state is reached.
         if (this._state == 'transfer') {
             throw new Error('Transfer in progress');
         }
+        if (tabs.CACHE_POLICIES.indexOf(this.settings.cachePolicy) === -1) {
+            throw new Error('cachePolicy should be one of ' + tabs.CACHE_POLICIES.join(', '));
+        }
         this._cleanUp();
         this._state = 'transfer';
 
         let deferred = Q.defer();
+        let startTime = new Date();
 
-        this.trait.once('fullLoad', function() {
-            this._state = 'complete';
-            deferred.resolve('success');
-        }.bind(this));
+        let onLoad = function() {
+            this._applyScrollPosition();
+            finish('success', null);
+        }.bind(this);
+        let onFail = function(reason) {
+            finish('fail', reason);
+        };
+        let onError = function(e) {
+            finish('fail', e && e.message || e);
+        };
 
-        this.trait.once('loadFail', function(reason) {
+        let finished = false;
+        let finish = function(status, reason) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            this.trait.off('fullLoad', onLoad);
+            this.trait.off('loadFail', onFail);
+            this.trait.off('error', onError);
             this._state = 'complete';
-            deferred.resolve('fail');
-        }.bind(this));
+            this._lastLoadResult = this._loadResult(status, reason, startTime);
+            deferred.resolve(this._lastLoadResult);
+        }.bind(this);
 
-        this.trait.once('error', function() {
-            this._state = 'complete';
-            deferred.resolve('fail');
-        }.bind(this));
+        if (!waitUntil) {
+            this.trait.on('fullLoad', onLoad);
+        }
+        this.trait.on('loadFail', onFail);
+        this.trait.on('error', onError);
+
+        let start = function() {
+            navigate.call(this);
+            if (waitUntil) {
+                this.waitForLoadState(waitUntil.state, {idleTime: waitUntil.idleTime})
+                    .then(onLoad, onError);
+            }
+        }.bind(this);
 
         if (!this._tab) {
-            this.trait.once('openReady', function() {
-                this.trait.load(url);
-            }.bind(this));
+            this.trait.once('openReady', start);
             this.trait.open();
         }
         else {
-            this.trait.load(url);
+            start();
         }
 
         deferred.promise.then(function(result) {
@@ -472,7 +1421,9 @@ const webPage = EventEmitter.compose(ListenerTrait(), WindowEventTrait(),
         }.bind(this));
 
         if (typeof(callback) === 'function') {
-            deferred.promise.then(callback).then(null, function(e) {
+            deferred.promise.then(function(result) {
+                return callback(result.status, result);
+            }).then(null, function(e) {
                 this._emit('error', e);
             }.bind(this));
         };
@@ -480,41 +1431,168 @@ const webPage = EventEmitter.compose(ListenerTrait(), WindowEventTrait(),
         return deferred.promise;
     },
 
-    render: function(filename, ratio) {
-        throw new Error('Not implemented yet');
+    render: function(filename, options) {
+        this._assertTab();
+        options = renderOptions(options);
+
+        let format = options.format || formatFromFilename(filename);
+        let deferred = Q.defer();
+        try {
+            let dirname = file.dirname(filename);
+            if (dirname && !file.exists(dirname)) {
+                file.mkpath(dirname);
+            }
+
+            if (RENDER_FORMATS[format] === 'application/pdf') {
+                let window = getBrowserForTab(this._tab).contentWindow;
+                return printToPDF(window, filename, this.paperSize);
+            }
+
+            let data = this.renderBytes(format, options);
+            let stream = file.open(filename, 'wb');
+            try {
+                stream.write(data);
+            }
+            finally {
+                stream.close();
+            }
+            deferred.resolve(filename);
+        }
+        catch(e) {
+            deferred.reject(e);
+        }
+
+        return deferred.promise;
     },
 
-    renderBytes: function(format, ratio) {
-        return base64.decode(this.renderBase64(format, ratio));
+    renderBytes: function(format, options) {
+        // PDF is printed asynchronously through a temporary file, so for this
+        // format renderBytes() and renderBase64() return a promise of the data.
+        if (RENDER_FORMATS[(format || '').toString().toLowerCase()] === 'application/pdf') {
+            let filename = file.join(pathFor('TmpD'),
+                'webpage-' + Date.now() + '-' + Math.floor(Math.random() * 1e6) + '.pdf');
+
+            return this.render(filename, {format: 'pdf'}).then(function() {
+                try {
+                    return file.read(filename, 'b');
+                }
+                finally {
+                    file.remove(filename);
+                }
+            });
+        }
+
+        return base64.decode(this.renderBase64(format, options));
     },
 
-    renderBase64: function(format, ratio) {
+    renderBase64: function(format, options) {
         this._assertTab();
+        options = renderOptions(options);
+
+        format = (format || options.format || 'png').toString().toLowerCase();
+        if (!(format in RENDER_FORMATS)) {
+            throw new Error('Render format "' + format + '" is not supported');
+        }
+        let mimeType = RENDER_FORMATS[format];
+
+        if (mimeType === 'application/pdf') {
+            return this.renderBytes(format, options).then(function(data) {
+                return base64.encode(data);
+            });
+        }
 
-        format = (format || 'png').toString().toLowerCase();
         let qual = undefined;
-        if (format == 'png') {
-            format = 'image/png';
+        if (typeof(options.quality) === 'number') {
+            qual = options.quality / 100;
         }
-        else if (format == 'jpeg') {
-            format = 'image/jpeg';
+        else if (mimeType == 'image/jpeg') {
             qual = 0.8;
         }
+
+        let window = getBrowserForTab(this._tab).contentWindow;
+
+        let ratio = (options.ratio > 0 ? options.ratio : 1) * this.zoomFactor;
+        let canvas = getScreenshotCanvas(window, this._captureRect(), ratio);
+
+        return canvas.toDataURL(mimeType, qual).split(',', 2)[1];
+    },
+
+    get event() {
+        return {
+            key: KEYS,
+            modifier: MODIFIERS
+        };
+    },
+
+    sendEvent: function(type) {
+        this._assertTab();
+        let window = this._tab.linkedBrowser.contentWindow;
+
+        if (MOUSE_EVENTS.indexOf(type) !== -1) {
+            // (type, x, y, button, modifier)
+            sendMouseEvent(window, type, arguments[1], arguments[2], arguments[3], arguments[4]);
+        }
         else {
-            throw new Error('Render format "' + format + '" is not supported');
+            // (type, keyOrKeys, null, null, modifier)
+            sendKeyEvent(window, type, arguments[1], arguments[4]);
         }
+    },
 
-        let window = getBrowserForTab(this._tab).contentWindow;
+    uploadFile: function(selector, filenames) {
+        this._assertTab();
+        filenames = Array.isArray(filenames) ? filenames : [filenames];
+
+        filenames.forEach(function(filename) {
+            if (!file.exists(filename)) {
+                throw new Error('File "' + filename + '" does not exist');
+            }
+        });
+
+        let document = this._tab.linkedBrowser.contentWindow.document;
+        let input = document.querySelector(selector);
+        if (input === null) {
+            throw new Error('No element matches selector "' + selector + '"');
+        }
+        if (input.localName !== 'input' || input.type !== 'file') {
+            throw new Error('Element "' + selector + '" is not a file input');
+        }
+        if (filenames.length > 1 && !input.multiple) {
+            throw new Error('Element "' + selector + '" does not accept multiple files');
+        }
+
+        input.mozSetFileNameArray(filenames, filenames.length);
 
-        let canvas = getScreenshotCanvas(window, this.clipRect, ratio);
+        ['input', 'change'].forEach(function(type) {
+            let evt = document.createEvent('HTMLEvents');
+            evt.initEvent(type, true, false);
+            input.dispatchEvent(evt);
+        });
+    },
 
-        return canvas.toDataURL(format, qual).split(',', 2)[1];
+    get content() {
+        this._assertTab();
+        return serializeDocument(this._tab.linkedBrowser.contentWindow.document);
+    },
+    set content(value) {
+        this.setContent(value);
+    },
+
+    get mainResponse() {
+        let response = this._mainResponse;
+        if (response === null) {
+            return null;
+        }
+        return mix(response, {
+            get text() {
+                return decodeBytes(response.body, response.charset);
+            }
+        });
     },
 
     get plainText() {
         this._assertTab();
         try {
-            return this._plainText;
+            return getDocumentText(this._tab.linkedBrowser.contentWindow.document);
         }
         catch(e) {
             this._emit('error', e);
@@ -526,14 +1604,16 @@ const webPage = EventEmitter.compose(ListenerTrait(), WindowEventTrait(),
         return this._settings;
     },
     set settings(val) {
-        if (typeof(val) === 'object') {
-            this._settings = mix(this._settings, val);
+        if (typeof(val) === 'object' && val !== null) {
+            Object.keys(val).forEach(function(k) {
+                this._settings[k] = val[k];
+            }, this);
         }
     },
 
     get url() {
         this._assertTab();
-        return this._tab.linkedBrowser.contentWindow.location.href;
+        return this._url || this._tab.linkedBrowser.contentWindow.location.href;
     }
 });
 